@@ -143,6 +143,7 @@ async function handleCreateRoom(e) {
     
     const formData = new FormData(e.target);
     const roomName = formData.get('room-name');
+    const maxCapacity = formData.get('room-capacity');
     
     try {
         const response = await fetch('/api/rooms/create', {
@@ -150,7 +151,12 @@ async function handleCreateRoom(e) {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ name: roomName }),
+            body: JSON.stringify({
+                name: roomName,
+                maxCapacity: maxCapacity ? Number(maxCapacity) : null,
+                requireAdmission: formData.get('room-require-admission') === 'on',
+                acoustics: formData.get('room-acoustics')
+            }),
         });
         
         const data = await response.json();
@@ -248,10 +254,133 @@ function displayUserRooms(rooms) {
             <p><strong>Room ID:</strong> ${room.id}</p>
             <p><strong>Created by:</strong> ${escapeHtml(room.creator_name || 'Unknown')}</p>
             <p><strong>Created:</strong> ${new Date(room.created_at).toLocaleString()}</p>
+            <button class="btn btn-secondary" onclick="event.stopPropagation(); toggleRoomRecordings('${room.id}')">Recordings</button>
+            <button class="btn btn-secondary" onclick="event.stopPropagation(); toggleRoomSessions('${room.id}')">Sessions</button>
+            <div id="recordings-${room.id}" class="room-details hidden" onclick="event.stopPropagation()"></div>
+            <div id="sessions-${room.id}" class="room-details hidden" onclick="event.stopPropagation()"></div>
         </div>
     `).join('');
 }
 
+async function toggleRoomRecordings(roomId) {
+    const container = document.getElementById(`recordings-${roomId}`);
+    
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/rooms/${roomId}/recordings`);
+        const data = await response.json();
+        
+        if (data.success) {
+            displayRoomRecordings(container, roomId, data.recordings);
+            container.classList.remove('hidden');
+        } else {
+            showMessage(data.error || 'Failed to load recordings', 'error');
+        }
+    } catch (error) {
+        console.error('Load recordings error:', error);
+        showMessage('Network error. Please try again.', 'error');
+    }
+}
+
+function displayRoomRecordings(container, roomId, recordings) {
+    if (recordings.length === 0) {
+        container.innerHTML = '<p>No recordings yet.</p>';
+        return;
+    }
+    
+    container.innerHTML = recordings.map(recording => `
+        <p>
+            ${new Date(recording.createdAt).toLocaleString()} by ${escapeHtml(recording.username || 'Unknown')}
+            ${recording.status === 'complete' ? `
+                (${formatDuration(recording.durationMs)}, ${formatSize(recording.size)})
+                <a href="/api/rooms/${roomId}/recordings/${recording.id}/download">Download</a>
+            ` : '(in progress)'}
+        </p>
+    `).join('');
+}
+
+async function toggleRoomSessions(roomId) {
+    const container = document.getElementById(`sessions-${roomId}`);
+    
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/rooms/${roomId}/sessions?limit=5`);
+        const data = await response.json();
+        
+        if (data.success) {
+            displayRoomSessions(container, roomId, data.sessions);
+            container.classList.remove('hidden');
+        } else {
+            showMessage(data.error || 'Failed to load sessions', 'error');
+        }
+    } catch (error) {
+        console.error('Load sessions error:', error);
+        showMessage('Network error. Please try again.', 'error');
+    }
+}
+
+function displayRoomSessions(container, roomId, sessions) {
+    if (sessions.length === 0) {
+        container.innerHTML = '<p>No sessions yet.</p>';
+        return;
+    }
+    
+    container.innerHTML = sessions.map(session => `
+        <p>
+            ${new Date(session.startedAt).toLocaleString()}
+            (${session.endedAt ? formatDuration(session.durationMs) : 'in progress'},
+            ${session.participantCount} ${session.participantCount === 1 ? 'person' : 'people'})
+            <a href="#" onclick="event.preventDefault(); showSessionStats('${roomId}', ${session.id}, this)">Stats</a>
+        </p>
+    `).join('');
+}
+
+// Time in the room and share of the talking for each participant, shown under the session
+async function showSessionStats(roomId, sessionId, link) {
+    try {
+        const response = await fetch(`/api/rooms/${roomId}/sessions/${sessionId}/stats`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage(data.error || 'Failed to load session stats', 'error');
+            return;
+        }
+        
+        const list = document.createElement('ul');
+        list.innerHTML = data.participants.map(participant => `
+            <li>
+                ${escapeHtml(participant.username || 'Unknown')}: ${formatDuration(participant.presentMs)} in the room,
+                ${Math.round(participant.talkShare * 100)}% of the talking
+            </li>
+        `).join('');
+        link.replaceWith(list);
+    } catch (error) {
+        console.error('Load session stats error:', error);
+        showMessage('Network error. Please try again.', 'error');
+    }
+}
+
+function formatDuration(ms) {
+    if (ms === null) {
+        return 'unknown length';
+    }
+    
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function joinExistingRoom(roomId) {
     window.location.href = `/room/${roomId}`;
 }
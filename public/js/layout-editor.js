@@ -0,0 +1,153 @@
+// Canvas edit mode for the room layout (owners only). Changes are made to a
+// draft and only reach the room once RoomManager saves them.
+class LayoutEditor {
+    constructor(spatialAudioManager) {
+        this.spatialAudioManager = spatialAudioManager;
+        this.active = false;
+        this.draft = null;
+        this.tool = 'wall'; // 'wall' | 'zone' | 'furniture' | 'erase'
+        this.furnitureType = 'table';
+        this.points = []; // wall or zone being drawn
+        this.cursor = null;
+        this.snap = 0.5; // world units
+
+        // Default footprint (width x depth) for each furniture type
+        this.furnitureSizes = {
+            table: [2, 1.2],
+            chair: [0.6, 0.6],
+            sofa: [2, 0.9],
+            desk: [1.6, 0.8],
+            plant: [0.6, 0.6],
+            screen: [2.4, 0.3]
+        };
+    }
+
+    start(layout) {
+        this.draft = new RoomLayout(JSON.parse(JSON.stringify(layout.toJSON())));
+        this.active = true;
+        this.points = [];
+    }
+
+    stop() {
+        this.active = false;
+        this.draft = null;
+        this.points = [];
+        this.cursor = null;
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.points = [];
+    }
+
+    toWorld(canvasX, canvasY, canvas) {
+        const position = this.spatialAudioManager.canvasToWorldPosition(
+            canvasX, canvasY, canvas.width, canvas.height
+        );
+
+        return {
+            x: Math.round(position.x / this.snap) * this.snap,
+            z: Math.round(position.z / this.snap) * this.snap
+        };
+    }
+
+    handleClick(canvasX, canvasY, canvas) {
+        const point = this.toWorld(canvasX, canvasY, canvas);
+
+        switch (this.tool) {
+            case 'wall':
+            case 'zone': {
+                // The clicks of a double-click land on the same spot
+                const last = this.points[this.points.length - 1];
+                if (!last || last.x !== point.x || last.z !== point.z) {
+                    this.points.push(point);
+                }
+                break;
+            }
+            case 'furniture': {
+                const [width, depth] = this.furnitureSizes[this.furnitureType];
+                this.draft.furniture.push({ type: this.furnitureType, x: point.x, z: point.z, width, depth });
+                break;
+            }
+            case 'erase':
+                this.eraseAt(this.spatialAudioManager.canvasToWorldPosition(
+                    canvasX, canvasY, canvas.width, canvas.height
+                ));
+                break;
+        }
+    }
+
+    handleMove(canvasX, canvasY, canvas) {
+        this.cursor = this.toWorld(canvasX, canvasY, canvas);
+    }
+
+    // Finish the wall or zone being drawn; returns an error message or null
+    finishShape() {
+        if (this.tool === 'wall' && this.points.length >= 2) {
+            this.draft.walls.push({ points: this.points });
+        } else if (this.tool === 'zone' && this.points.length >= 3) {
+            const name = prompt('Zone name:');
+            if (name && name.trim()) {
+                this.draft.zones.push({ name: name.trim().slice(0, 40), points: this.points });
+            }
+        } else if (this.points.length > 0) {
+            return this.tool === 'wall' ? 'A wall needs at least 2 points' : 'A zone needs at least 3 points';
+        }
+
+        this.points = [];
+        return null;
+    }
+
+    // Remove the topmost item under the cursor: furniture, then walls, then zones
+    eraseAt(position) {
+        const point = { x: position.x, z: position.z };
+        const draft = this.draft;
+
+        const furnitureIndex = draft.furniture.findIndex((item) =>
+            Math.abs(point.x - item.x) <= item.width / 2 && Math.abs(point.z - item.z) <= item.depth / 2
+        );
+        if (furnitureIndex !== -1) {
+            draft.furniture.splice(furnitureIndex, 1);
+            return;
+        }
+
+        const wallIndex = draft.walls.findIndex((wall) => wall.points.some((a, i) =>
+            i > 0 && RoomLayout.distanceToSegment(point, wall.points[i - 1], a) < 0.4
+        ));
+        if (wallIndex !== -1) {
+            draft.walls.splice(wallIndex, 1);
+            return;
+        }
+
+        const zoneIndex = draft.zones.findIndex((zone) => RoomLayout.pointInPolygon(point, zone.points));
+        if (zoneIndex !== -1) {
+            draft.zones.splice(zoneIndex, 1);
+        }
+    }
+
+    // Preview of the wall or zone being drawn
+    drawPending(ctx, canvas) {
+        if (this.points.length === 0) return;
+
+        const toCanvas = (point) => this.spatialAudioManager.worldToCanvasPosition(
+            point.x, 0, point.z, canvas.width, canvas.height
+        );
+        const points = this.cursor ? [...this.points, this.cursor] : this.points;
+
+        ctx.strokeStyle = this.tool === 'wall' ? '#ffffff' : 'rgba(78, 205, 196, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const canvasPos = toCanvas(point);
+            if (index === 0) {
+                ctx.moveTo(canvasPos.x, canvasPos.y);
+            } else {
+                ctx.lineTo(canvasPos.x, canvasPos.y);
+            }
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+    }
+}
@@ -0,0 +1,85 @@
+// Room layout: walls, furniture and named zones in world coordinates (x, z).
+// Walls are polylines that avatars cannot pass through and that muffle sound.
+class RoomLayout {
+    constructor(data = {}) {
+        this.walls = data.walls || [];
+        this.furniture = data.furniture || [];
+        this.zones = data.zones || [];
+    }
+
+    toJSON() {
+        return {
+            walls: this.walls,
+            furniture: this.furniture,
+            zones: this.zones
+        };
+    }
+
+    getWallSegments() {
+        const segments = [];
+        this.walls.forEach((wall) => {
+            for (let i = 1; i < wall.points.length; i++) {
+                segments.push([wall.points[i - 1], wall.points[i]]);
+            }
+        });
+        return segments;
+    }
+
+    // Whether moving in a straight line between two positions passes a wall
+    crossesWall(from, to) {
+        return this.getWallSegments().some(([a, b]) => RoomLayout.segmentsIntersect(from, to, a, b));
+    }
+
+    // Whether an avatar may move between two positions: no wall in the way and
+    // not ending up closer than `clearance` to one (moving away is always fine)
+    canMove(from, to, clearance = 0) {
+        return this.getWallSegments().every(([a, b]) => {
+            if (RoomLayout.segmentsIntersect(from, to, a, b)) return false;
+            const distance = RoomLayout.distanceToSegment(to, a, b);
+            return distance >= clearance || distance >= RoomLayout.distanceToSegment(from, a, b);
+        });
+    }
+
+    // Number of wall segments on the straight line between two positions
+    countWallsBetween(from, to) {
+        return this.getWallSegments().filter(([a, b]) => RoomLayout.segmentsIntersect(from, to, a, b)).length;
+    }
+
+    getZoneAt(position) {
+        return this.zones.find((zone) => RoomLayout.pointInPolygon(position, zone.points)) || null;
+    }
+
+    static segmentsIntersect(p1, p2, p3, p4) {
+        const cross = (a, b, c) => (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+        const d1 = cross(p3, p4, p1);
+        const d2 = cross(p3, p4, p2);
+        const d3 = cross(p1, p2, p3);
+        const d4 = cross(p1, p2, p4);
+
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    static pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.z > point.z) !== (b.z > point.z) &&
+                point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    static distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lengthSquared = dx * dx + dz * dz;
+        const t = lengthSquared === 0 ? 0 :
+            Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSquared));
+
+        return Math.hypot(point.x - (a.x + t * dx), point.z - (a.z + t * dz));
+    }
+}
@@ -0,0 +1,213 @@
+// Keyboard and click-to-walk movement. Runs a fixed-timestep update loop
+// while there is something to do, accelerating toward the requested
+// direction, sliding along walls and staying inside the room.
+class MovementController {
+    constructor({ getPosition, getLayout, onMove, speed = 4, acceleration = 16, bounds = 10 }) {
+        this.getPosition = getPosition;
+        this.getLayout = getLayout;
+        this.onMove = onMove;
+        this.speed = speed; // world units per second
+        this.acceleration = acceleration; // world units per second squared
+        this.bounds = bounds; // the room spans -bounds..bounds on x and z
+        this.timestep = 1 / 60; // seconds per update
+        this.clearance = 0.2; // closest an avatar gets to a wall
+        this.arriveDistance = 0.05;
+
+        this.keys = new Set();
+        this.velocity = { x: 0, z: 0 };
+        this.target = null; // click-to-walk destination
+        this.closestToTarget = Infinity;
+        this.stuckTime = 0; // seconds without getting closer to the target
+        this.maxStuckTime = 0.5;
+        this.frame = null;
+        this.lastFrameAt = 0;
+        this.accumulator = 0;
+
+        // Directions on the canvas, where up is -z
+        this.keyDirections = {
+            w: [0, -1], arrowup: [0, -1],
+            s: [0, 1], arrowdown: [0, 1],
+            a: [-1, 0], arrowleft: [-1, 0],
+            d: [1, 0], arrowright: [1, 0]
+        };
+    }
+
+    // Returns whether the key moves the avatar
+    pressKey(key) {
+        key = key.toLowerCase();
+        if (!this.keyDirections[key]) return false;
+
+        // Steering by hand cancels a click-to-walk
+        this.target = null;
+        this.keys.add(key);
+        this.start();
+        return true;
+    }
+
+    releaseKey(key) {
+        key = key.toLowerCase();
+        if (!this.keyDirections[key]) return false;
+
+        this.keys.delete(key);
+        return true;
+    }
+
+    releaseAll() {
+        this.keys.clear();
+    }
+
+    walkTo(position) {
+        this.target = { x: this.clamp(position.x), z: this.clamp(position.z) };
+        this.closestToTarget = Infinity;
+        this.stuckTime = 0;
+        this.start();
+    }
+
+    // Stop at once, e.g. when the avatar is dragged or the room changes
+    stop() {
+        this.keys.clear();
+        this.target = null;
+        this.velocity = { x: 0, z: 0 };
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    start() {
+        if (this.frame) return;
+
+        this.lastFrameAt = performance.now();
+        this.accumulator = 0;
+        this.frame = requestAnimationFrame((now) => this.tick(now));
+    }
+
+    tick(now) {
+        // Cap the catch-up after the tab was in the background
+        this.accumulator += Math.min(0.25, (now - this.lastFrameAt) / 1000);
+        this.lastFrameAt = now;
+
+        let position = this.getPosition();
+        let moved = false;
+        while (this.accumulator >= this.timestep) {
+            const next = this.step(position, this.timestep);
+            if (next) {
+                position = next;
+                moved = true;
+            }
+            this.accumulator -= this.timestep;
+        }
+
+        if (moved) {
+            this.onMove(position);
+        }
+
+        const idle = this.keys.size === 0 && !this.target && this.velocity.x === 0 && this.velocity.z === 0;
+        this.frame = idle ? null : requestAnimationFrame((time) => this.tick(time));
+    }
+
+    // Advance one timestep; returns the new position, or null if it did not change
+    step(position, dt) {
+        const desired = this.getDesiredVelocity(position);
+
+        // Accelerate (or brake) toward the desired velocity
+        const dvx = desired.x - this.velocity.x;
+        const dvz = desired.z - this.velocity.z;
+        const change = Math.hypot(dvx, dvz);
+        const maxChange = this.acceleration * dt;
+        if (change <= maxChange) {
+            this.velocity = desired;
+        } else {
+            this.velocity = {
+                x: this.velocity.x + dvx / change * maxChange,
+                z: this.velocity.z + dvz / change * maxChange
+            };
+        }
+
+        if (this.target) {
+            const distance = Math.hypot(this.target.x - position.x, this.target.z - position.z);
+            if (distance <= this.arriveDistance) {
+                const arrived = { ...position, x: this.target.x, z: this.target.z };
+                this.target = null;
+                this.velocity = { x: 0, z: 0 };
+                return this.canMove(position, arrived) ? arrived : null;
+            }
+
+            // Sliding along a wall may never get there; give up after a while
+            if (distance < this.closestToTarget - 0.01) {
+                this.closestToTarget = distance;
+                this.stuckTime = 0;
+            } else if ((this.stuckTime += dt) > this.maxStuckTime) {
+                this.target = null;
+                this.velocity = { x: 0, z: 0 };
+                return null;
+            }
+        }
+
+        if (this.velocity.x === 0 && this.velocity.z === 0) {
+            return null;
+        }
+
+        const next = this.resolveMove(position, {
+            x: this.clamp(position.x + this.velocity.x * dt),
+            z: this.clamp(position.z + this.velocity.z * dt)
+        });
+
+        if (!next) {
+            // Blocked: give up on the destination rather than pushing forever
+            this.target = null;
+            this.velocity = { x: 0, z: 0 };
+        }
+        return next;
+    }
+
+    getDesiredVelocity(position) {
+        if (this.target) {
+            const dx = this.target.x - position.x;
+            const dz = this.target.z - position.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance === 0) return { x: 0, z: 0 };
+
+            // Slow down in time to stop on the spot
+            const speed = Math.min(this.speed, Math.sqrt(2 * this.acceleration * distance));
+            return { x: dx / distance * speed, z: dz / distance * speed };
+        }
+
+        let x = 0;
+        let z = 0;
+        this.keys.forEach((key) => {
+            x += this.keyDirections[key][0];
+            z += this.keyDirections[key][1];
+        });
+
+        const length = Math.hypot(x, z);
+        return length === 0 ? { x: 0, z: 0 } : { x: x / length * this.speed, z: z / length * this.speed };
+    }
+
+    // Try the full move, then each axis alone so the avatar slides along walls
+    resolveMove(position, to) {
+        const candidates = [
+            { x: to.x, z: to.z },
+            { x: to.x, z: position.z },
+            { x: position.x, z: to.z }
+        ];
+
+        for (const candidate of candidates) {
+            if ((candidate.x !== position.x || candidate.z !== position.z) && this.canMove(position, candidate)) {
+                if (candidate.x === position.x) this.velocity.x = 0;
+                if (candidate.z === position.z) this.velocity.z = 0;
+                return { ...position, ...candidate };
+            }
+        }
+        return null;
+    }
+
+    canMove(from, to) {
+        const layout = this.getLayout();
+        return !layout || layout.canMove(from, to, this.clearance);
+    }
+
+    clamp(value) {
+        return Math.max(-this.bounds, Math.min(this.bounds, value));
+    }
+}
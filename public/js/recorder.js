@@ -0,0 +1,145 @@
+// Records what we hear (the spatial mix) plus our own microphone to
+// WebM/Opus and uploads it to the server in chunks while recording, so a
+// closed tab loses at most the last few seconds.
+class RoomRecorder {
+    constructor({ roomId, audioContext, mix, timeslice = 5000 }) {
+        this.roomId = roomId;
+        this.audioContext = audioContext;
+        this.mix = mix; // node carrying everything we hear
+        this.timeslice = timeslice; // ms of audio per uploaded chunk
+        this.recording = null; // the server's record of the recording in progress
+        this.mediaRecorder = null;
+        this.destination = null;
+        this.microphoneSource = null;
+        this.chunkIndex = 0;
+        this.uploads = Promise.resolve();
+        this.failed = false;
+        this.startedAt = 0;
+        this.errorCallback = null;
+    }
+
+    static getSupportedMimeType() {
+        if (!window.MediaRecorder) return null;
+        return ['audio/webm;codecs=opus', 'audio/webm'].find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    isRecording() {
+        return !!this.mediaRecorder;
+    }
+
+    onError(callback) {
+        this.errorCallback = callback;
+    }
+
+    async start(microphoneStream) {
+        if (this.mediaRecorder) return this.recording;
+
+        const mimeType = RoomRecorder.getSupportedMimeType();
+        if (!mimeType) {
+            throw new Error('Recording is not supported in this browser');
+        }
+
+        const response = await fetch(`/api/rooms/${this.roomId}/recordings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mimeType })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to start recording');
+        }
+
+        this.recording = data.recording;
+        this.chunkIndex = 0;
+        this.uploads = Promise.resolve();
+        this.failed = false;
+
+        this.destination = this.audioContext.createMediaStreamDestination();
+        this.mix.connect(this.destination);
+        this.setMicrophone(microphoneStream);
+
+        this.mediaRecorder = new MediaRecorder(this.destination.stream, { mimeType });
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                this.queueUpload(e.data);
+            }
+        };
+        this.mediaRecorder.start(this.timeslice);
+        this.startedAt = Date.now();
+
+        return this.recording;
+    }
+
+    // Follow a switch to another microphone while recording
+    setMicrophone(stream) {
+        if (this.microphoneSource) {
+            this.microphoneSource.disconnect();
+            this.microphoneSource = null;
+        }
+        if (this.destination && stream) {
+            this.microphoneSource = this.audioContext.createMediaStreamSource(stream);
+            this.microphoneSource.connect(this.destination);
+        }
+    }
+
+    queueUpload(blob) {
+        const index = this.chunkIndex++;
+        this.uploads = this.uploads.then(() => {
+            // A lost chunk would leave a gap, so stop uploading after the first failure
+            if (this.failed) return;
+            return this.uploadChunk(blob, index).catch((error) => {
+                this.failed = true;
+                if (this.errorCallback) {
+                    this.errorCallback(error);
+                }
+            });
+        });
+    }
+
+    async uploadChunk(blob, index) {
+        const response = await fetch(`/api/rooms/${this.roomId}/recordings/${this.recording.id}/chunks?index=${index}`, {
+            method: 'POST',
+            headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+            body: blob
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to upload recording');
+        }
+    }
+
+    // Resolves once the last chunk is uploaded and the server has the recording
+    async stop() {
+        if (!this.mediaRecorder) return;
+
+        const mediaRecorder = this.mediaRecorder;
+        const recording = this.recording;
+        const durationMs = Date.now() - this.startedAt;
+
+        // The final dataavailable event comes before stop
+        if (mediaRecorder.state !== 'inactive') {
+            await new Promise((resolve) => {
+                mediaRecorder.addEventListener('stop', resolve, { once: true });
+                mediaRecorder.stop();
+            });
+        }
+
+        this.mediaRecorder = null;
+        this.setMicrophone(null);
+        this.mix.disconnect(this.destination);
+        this.destination = null;
+
+        await this.uploads;
+        this.recording = null;
+
+        const response = await fetch(`/api/rooms/${this.roomId}/recordings/${recording.id}/complete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ durationMs })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to save recording');
+        }
+    }
+}
@@ -1,4 +1,8 @@
 // Room management and spatial visualization
+
+// Same ordering as the server: each role can moderate the ones below it
+const ROLE_RANKS = { participant: 0, moderator: 1, owner: 2 };
+
 class RoomManager {
     constructor() {
         this.socket = null;
@@ -10,9 +14,38 @@ class RoomManager {
         this.canvas = null;
         this.ctx = null;
         this.isDragging = false;
-        this.userPosition = { x: 0, y: 0, z: 0 };
+        this.isRotating = false; // dragging the heading handle
+        this.userPosition = { x: 0, y: 0, z: 0, heading: 0 }; // heading in radians clockwise from up
+        this.rotateStep = Math.PI / 12; // per wheel notch or key press
         this.isMuted = false;
         this.spatialEnabled = true;
+        this.hearingRadius = null;
+        this.positionSendInterval = 1000 / 15; // ms between position-update emits
+        this.lastPositionSentAt = 0;
+        this.positionSendTimer = null;
+        this.roles = new Map(); // userId -> 'owner' | 'moderator' | 'participant'
+        this.lobby = []; // users waiting for admission, shown to owners and moderators
+        this.oldestMessageId = null; // cursor for loading earlier chat history
+        this.whisperWith = null; // socket id of our whisper partner
+        this.whisperInvites = new Map(); // socket id -> username of people asking to whisper with us
+        this.stageArea = null; // world-space rectangle; sent by the server
+        this.stageAccess = false; // whether we may present from the stage
+        this.onStage = false;
+        this.layout = new RoomLayout(); // walls, furniture and zones
+        this.layoutEditor = null;
+        this.movement = null; // keyboard and click-to-walk movement
+        this.renderFrame = null; // pending requestAnimationFrame id
+        this.interpolationTime = 100; // ms to glide remote avatars to a new position
+        this.speaking = false; // voice activity on our own microphone
+        this.audioSettings = new Map(); // userId -> { volume, muted }: how we hear each person
+        this.meterTimer = null;
+        this.deviceSettings = null; // microphone, speakers and processing, saved in this browser
+        this.pushToTalk = null; // { enabled, key (a KeyboardEvent.code), releaseDelay (ms) }
+        this.pttHeld = false;
+        this.pttReleaseTimer = null;
+        this.capturingPttKey = false;
+        this.recorder = null; // records what we hear to the server
+        this.recordings = new Map(); // recording id -> recording in progress in the room, by anyone
     }
 
     async initialize() {
@@ -41,6 +74,19 @@ class RoomManager {
                 return;
             }
             
+            // Register as a participant (no-op if already a member)
+            const joinResponse = await fetch(`/api/rooms/${this.roomId}/join`, { method: 'POST' });
+            const joinData = await joinResponse.json();
+            
+            if (!joinData.success) {
+                this.showMessage(joinData.error || 'Failed to join room', 'error');
+                setTimeout(() => window.location.href = '/', 3000);
+                return;
+            }
+            
+            await this.loadRoles();
+            await this.loadAudioSettings();
+            
             // Update UI with room info
             document.getElementById('room-name').textContent = roomData.room.name;
             document.getElementById('room-id').textContent = `Room ID: ${this.roomId}`;
@@ -70,17 +116,38 @@ class RoomManager {
         this.canvas.height = 600;
         
         // Initial render
-        this.renderSpatialView();
+        this.requestRender();
     }
 
     async initializeSpatialAudio() {
         this.spatialAudioManager = new SpatialAudioManager();
         await this.spatialAudioManager.initialize();
+        this.layoutEditor = new LayoutEditor(this.spatialAudioManager);
+        this.spatialAudioManager.onSpeakingChange(() => this.handleSpeakingChange());
+        this.movement = new MovementController({
+            getPosition: () => this.userPosition,
+            getLayout: () => this.layout,
+            onMove: (position) => this.setUserPosition(position)
+        });
+        this.recorder = new RoomRecorder({
+            roomId: this.roomId,
+            audioContext: this.spatialAudioManager.audioContext,
+            mix: this.spatialAudioManager.masterGainNode
+        });
+        this.recorder.onError((error) => {
+            console.error('Error uploading recording:', error);
+            this.showMessage('Recording upload failed, stopping', 'error');
+            this.stopRecording();
+        });
     }
 
     async initializeWebRTC() {
         this.webrtcManager = new WebRTCManager();
         
+        // Start with the devices chosen last time
+        this.deviceSettings = this.loadDeviceSettings();
+        Object.assign(this.webrtcManager.audioSettings, this.deviceSettings.audio);
+        
         // Set up callbacks
         this.webrtcManager.onRemoteStream((peerId, stream) => {
             this.handleRemoteStream(peerId, stream);
@@ -93,34 +160,165 @@ class RoomManager {
         this.webrtcManager.onUserLeft((userData) => {
             this.removeParticipant(userData.socketId);
         });
+        
+        this.webrtcManager.onUserResumed((userData) => {
+            this.resumeParticipant(userData);
+        });
+        
+        this.webrtcManager.onPeerClosed((peerId) => {
+            this.spatialAudioManager.removeAudioSource(peerId);
+        });
+        
+        this.webrtcManager.onLocalSpeakingChange((speaking) => {
+            this.speaking = speaking;
+            this.handleSpeakingChange();
+        });
     }
 
     async initializeSocket() {
-        this.socket = io();
+        // Connect only once WebRTC is ready, so existing-users never races getUserMedia
+        this.socket = io({ autoConnect: false });
         
         this.socket.on('connect', () => {
             console.log('Connected to server');
             
-            // Join the room
+            // Join the room (identity is taken from the session server-side).
+            // After a dropped connection the resume token lets us keep our slot.
             this.socket.emit('join-room', {
                 roomId: this.roomId,
-                userId: this.currentUser.id,
-                username: this.currentUser.username
+                resumeToken: sessionStorage.getItem(this.getResumeTokenKey())
             });
         });
         
-        this.socket.on('disconnect', () => {
-            this.updateConnectionStatus('Disconnected', 'error');
+        this.socket.on('room-joined', (data) => {
+            this.handleRoomJoined(data);
+        });
+        
+        this.socket.on('join-error', (error) => {
+            this.handleJoinError(error);
+        });
+        
+        this.socket.on('lobby-waiting', () => {
+            this.updateConnectionStatus('Waiting to be let in...', 'info');
+            this.showMessage('The host has been asked to let you in', 'info');
+        });
+        
+        this.socket.on('lobby-update', (data) => {
+            this.lobby = data.waiting;
+            this.updateLobbyList();
         });
         
-        this.socket.on('user-position-update', (data) => {
-            const { socketId, position } = data;
-            this.updateParticipantPosition(socketId, position);
+        this.socket.on('disconnect', (reason) => {
+            // Socket.IO reconnects on its own unless the server closed the socket
+            if (reason === 'io server disconnect') {
+                this.updateConnectionStatus('Disconnected', 'error');
+            } else {
+                this.updateConnectionStatus('Reconnecting...', 'error');
+            }
+        });
+        
+        this.socket.on('user-reconnecting', (data) => {
+            this.updateParticipantReconnecting(data.socketId, true);
+        });
+        
+        this.socket.on('positions-snapshot', (snapshot) => {
+            this.applyPositionsSnapshot(snapshot);
         });
         
         this.socket.on('user-mute-update', (data) => {
-            const { socketId, muted } = data;
-            this.updateParticipantMuteStatus(socketId, muted);
+            const { socketId, muted, forceMuted } = data;
+            this.updateParticipantMuteStatus(socketId, muted, forceMuted);
+        });
+        
+        // Speaking state as detected by each user's own client; used for
+        // people whose audio we don't receive
+        this.socket.on('user-speaking', (data) => {
+            const participant = this.participants.get(data.socketId);
+            if (participant) {
+                participant.reportedSpeaking = data.speaking;
+                this.handleSpeakingChange();
+            }
+        });
+        
+        this.socket.on('chat-message', (message) => {
+            this.appendChatMessage(message);
+        });
+        
+        this.socket.on('role-updated', (data) => {
+            this.roles.set(data.userId, data.role);
+            this.updateParticipantsList();
+            this.updateLobbyList();
+        });
+        
+        this.socket.on('force-muted', (data) => {
+            this.handleForceMuted(data);
+        });
+        
+        this.socket.on('kicked', (data) => {
+            this.handleKicked(data);
+        });
+        
+        this.socket.on('moderation-error', (error) => {
+            console.warn(`Moderation ${error.action} rejected:`, error.code);
+            this.showMessage('That action is not allowed', 'error');
+        });
+        
+        // Answered from the participants panel; a dialog would freeze the room
+        this.socket.on('whisper-invite', (data) => {
+            this.whisperInvites.set(data.from, data.username);
+            this.updateWhisperInvites();
+            this.showMessage(`${data.username} wants to whisper with you`, 'info');
+        });
+        
+        this.socket.on('whisper-declined', (data) => {
+            const participant = this.participants.get(data.target);
+            this.showMessage(`${participant ? participant.username : 'They'} declined to whisper`, 'info');
+        });
+        
+        this.socket.on('whisper-started', (data) => {
+            this.setWhisperPair(data.participants, true);
+        });
+        
+        this.socket.on('whisper-ended', (data) => {
+            this.setWhisperPair(data.participants, false, data.reason);
+        });
+        
+        this.socket.on('whisper-error', (error) => {
+            this.handleWhisperError(error);
+        });
+        
+        this.socket.on('stage-access-updated', (data) => {
+            this.handleStageAccessUpdated(data);
+        });
+        
+        this.socket.on('acoustics-updated', (data) => {
+            this.spatialAudioManager.setAcousticPreset(data.acoustics);
+        });
+        
+        this.socket.on('falloff-updated', (data) => {
+            this.spatialAudioManager.setFalloff(data.falloff);
+        });
+        
+        this.socket.on('recording-started', (data) => {
+            this.recordings.set(data.recording.id, data.recording);
+            this.updateRecordingNotice();
+        });
+        
+        this.socket.on('recording-stopped', (data) => {
+            this.recordings.delete(data.recordingId);
+            this.updateRecordingNotice();
+        });
+        
+        this.socket.on('layout-updated', (data) => {
+            this.layout = new RoomLayout(data.layout);
+            this.refreshAudioRouting();
+            this.requestRender();
+        });
+        
+        // The server found a wall in the way (e.g. our layout was out of date)
+        this.socket.on('position-rejected', (data) => {
+            this.movement.stop();
+            this.setUserPosition({ x: data.position.x, y: data.position.y, z: data.position.z });
         });
         
         // Initialize WebRTC with socket
@@ -130,6 +328,214 @@ class RoomManager {
             this.currentUser.id,
             this.currentUser.username
         );
+        this.webrtcManager.startVoiceActivity(this.spatialAudioManager.audioContext);
+        
+        this.socket.connect();
+    }
+
+    getResumeTokenKey() {
+        return `resume-token:${this.roomId}`;
+    }
+
+    loadDeviceSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(`device-settings:${this.currentUser.id}`)) || {};
+        } catch (error) {
+            console.error('Invalid saved device settings:', error);
+        }
+        
+        return {
+            audio: { ...this.webrtcManager.audioSettings, ...saved.audio },
+            outputDeviceId: saved.outputDeviceId || ''
+        };
+    }
+
+    saveDeviceSettings() {
+        localStorage.setItem(`device-settings:${this.currentUser.id}`, JSON.stringify(this.deviceSettings));
+    }
+
+    loadPushToTalk() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(`push-to-talk:${this.currentUser.id}`)) || {};
+        } catch (error) {
+            console.error('Invalid saved push-to-talk settings:', error);
+        }
+        
+        return { enabled: false, key: 'Space', releaseDelay: 250, ...saved };
+    }
+
+    savePushToTalk() {
+        localStorage.setItem(`push-to-talk:${this.currentUser.id}`, JSON.stringify(this.pushToTalk));
+    }
+
+    handleRoomJoined(data) {
+        sessionStorage.setItem(this.getResumeTokenKey(), data.resumeToken);
+        this.movement.stop();
+        this.hearingRadius = data.hearingRadius;
+        this.stageArea = data.stageArea;
+        this.stageAccess = !!data.stageAccess;
+        this.layout = new RoomLayout(data.layout);
+        this.spatialAudioManager.setAcousticPreset(data.acoustics);
+        this.spatialAudioManager.setFalloff(data.falloff);
+        
+        // Peer connections from before a reconnect point at old socket ids,
+        // so drop them; existing-users follows and rebuilds everything.
+        this.webrtcManager.resetPeerConnections();
+        this.webrtcManager.setMediaMode(data.mediaMode);
+        this.participants.clear();
+        this.whisperWith = null;
+        this.whisperInvites.clear();
+        this.updateWhisperInvites();
+        
+        // A forced mute only survives a resume; a fresh join starts without one
+        this.webrtcManager.setForceMuted(!!data.forceMuted);
+        
+        if (data.resumed) {
+            this.userPosition = { heading: 0, ...data.position };
+            this.spatialAudioManager.setListenerPosition(
+                this.userPosition.x, this.userPosition.y, this.userPosition.z
+            );
+            this.spatialAudioManager.setListenerHeading(this.userPosition.heading);
+            
+            if (data.muted !== this.isMuted) {
+                this.toggleMute();
+            }
+        } else if (this.isMuted) {
+            // A fresh join starts unmuted on the server (e.g. push to talk muted us before joining)
+            this.socket.emit('toggle-mute', true);
+        }
+        if (this.pushToTalk && this.pushToTalk.enabled && !this.pttHeld) {
+            this.setMuted(true);
+        }
+        this.onStage = this.isOnStage(this.stageAccess, this.userPosition);
+        this.recordings = new Map(data.recordings.map(recording => [recording.id, recording]));
+        this.finishOrphanedRecordings();
+        this.updateRecordingNotice();
+        
+        this.updateConnectionStatus('Connected', 'success');
+        this.updateParticipantsList();
+        this.requestRender();
+        
+        // Roles may have changed and messages arrived while we were disconnected
+        this.loadRoles().then(() => this.updateParticipantsList());
+        this.loadMessages();
+    }
+
+    async loadRoles() {
+        try {
+            const response = await fetch(`/api/rooms/${this.roomId}/roles`);
+            const data = await response.json();
+            
+            if (data.success) {
+                this.roles = new Map(data.roles.map(entry => [entry.userId, entry.role]));
+                
+                // Only the owner edits the layout
+                document.getElementById('layout-controls').classList.toggle(
+                    'hidden', this.getRole(this.currentUser.id) !== 'owner'
+                );
+            }
+        } catch (error) {
+            console.error('Error loading roles:', error);
+        }
+    }
+
+    async loadAudioSettings() {
+        try {
+            const response = await fetch('/api/users/me/audio-settings');
+            const data = await response.json();
+            
+            if (data.success) {
+                this.audioSettings = new Map(
+                    Object.entries(data.settings).map(([userId, settings]) => [Number(userId), settings])
+                );
+            }
+        } catch (error) {
+            console.error('Error loading audio settings:', error);
+        }
+    }
+
+    getAudioSettings(userId) {
+        return this.audioSettings.get(userId) || { volume: 1, muted: false };
+    }
+
+    // Apply a change to how we hear someone at once; `save` also stores it
+    async setAudioSettings(socketId, changes, save) {
+        const participant = this.participants.get(socketId);
+        if (!participant) return;
+        
+        const settings = { ...this.getAudioSettings(participant.userId), ...changes };
+        this.audioSettings.set(participant.userId, settings);
+        this.applyAudioRouting(socketId);
+        if (!save) return;
+        
+        try {
+            const response = await fetch(`/api/users/me/audio-settings/${participant.userId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(settings)
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showMessage(data.error || 'Failed to save audio settings', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving audio settings:', error);
+        }
+    }
+
+    getRole(userId) {
+        return this.roles.get(userId) || 'participant';
+    }
+
+    isModerator() {
+        return ROLE_RANKS[this.getRole(this.currentUser.id)] >= ROLE_RANKS.moderator;
+    }
+
+    // Mirrors the server rule: moderators act on participants, owners on everyone else
+    canModerate(userId) {
+        return this.isModerator() &&
+            ROLE_RANKS[this.getRole(this.currentUser.id)] > ROLE_RANKS[this.getRole(userId)];
+    }
+
+    handleForceMuted(data) {
+        this.webrtcManager.setForceMuted(data.muted);
+        
+        if (data.muted) {
+            this.isMuted = true;
+            this.updateMuteButton();
+            this.showMessage(`You were muted by ${data.by}`, 'error');
+        } else {
+            this.showMessage(`${data.by} allowed you to unmute`, 'info');
+        }
+        
+        this.updateParticipantsList();
+    }
+
+    handleKicked(data) {
+        // The server closes the socket, so there is nothing to resume
+        sessionStorage.removeItem(this.getResumeTokenKey());
+        this.updateConnectionStatus('Removed from room', 'error');
+        this.showMessage(
+            data.banned ? `You were banned from this room by ${data.by}` : `You were removed from this room by ${data.by}`,
+            'error'
+        );
+        
+        this.webrtcManager.disconnect();
+        setTimeout(() => window.location.href = '/', 3000);
+    }
+
+    handleJoinError(error) {
+        console.error('Join error:', error);
+        this.updateConnectionStatus('Not connected', 'error');
+        this.showMessage(error.message || 'Could not join room', 'error');
+        
+        const fatalCodes = ['UNAUTHENTICATED', 'ROOM_NOT_FOUND', 'NOT_A_MEMBER', 'BANNED', 'ROOM_FULL', 'ADMISSION_DENIED'];
+        if (fatalCodes.includes(error.code)) {
+            setTimeout(() => window.location.href = '/', 3000);
+        }
     }
 
     setupEventListeners() {
@@ -139,133 +545,661 @@ class RoomManager {
         this.canvas.addEventListener('mouseup', () => this.onMouseUp());
         this.canvas.addEventListener('mouseleave', () => this.onMouseUp());
         
+        // Walk with WASD / the arrow keys, turn with the mouse wheel or Q / E
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.setHeading(this.userPosition.heading + Math.sign(e.deltaY) * this.rotateStep);
+        }, { passive: false });
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keyup', (e) => {
+            if (this.pushToTalk.enabled && e.code === this.pushToTalk.key) {
+                e.preventDefault();
+                this.stopTalking();
+            } else if (this.movement.releaseKey(e.key)) {
+                e.preventDefault();
+            }
+        });
+        window.addEventListener('blur', () => {
+            this.movement.releaseAll();
+            this.stopTalking();
+        });
+        
         // Touch events for mobile
         this.canvas.addEventListener('touchstart', (e) => this.onTouchStart(e));
         this.canvas.addEventListener('touchmove', (e) => this.onTouchMove(e));
         this.canvas.addEventListener('touchend', () => this.onTouchEnd());
         
+        // Browsers keep audio suspended until the user interacts with the
+        // page; our own speaking indicator needs it running
+        const resumeAudio = () => this.spatialAudioManager.resumeContext();
+        document.addEventListener('pointerdown', resumeAudio, { once: true });
+        document.addEventListener('keydown', resumeAudio, { once: true });
+        
         // Audio controls
         document.getElementById('mute-btn').addEventListener('click', () => this.toggleMute());
         document.getElementById('volume-slider').addEventListener('input', (e) => this.setVolume(e.target.value));
         document.getElementById('spatial-toggle').addEventListener('click', () => this.toggleSpatialAudio());
+        document.getElementById('record-btn').addEventListener('click', () => this.toggleRecording());
         document.getElementById('leave-room-btn').addEventListener('click', () => this.leaveRoom());
         
+        // Whisper and moderator actions in the participants list
+        document.getElementById('participants-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleParticipantAction(button.dataset.action, button.dataset.socketId);
+            }
+        });
+        
+        // Per-person volume: heard while dragging, saved on release
+        document.getElementById('participants-list').addEventListener('input', (e) => {
+            if (e.target.dataset.volumeFor) {
+                this.setAudioSettings(e.target.dataset.volumeFor, { volume: e.target.value / 100 }, false);
+                e.target.nextElementSibling.textContent = `${e.target.value}%`;
+            }
+        });
+        document.getElementById('participants-list').addEventListener('change', (e) => {
+            if (e.target.dataset.volumeFor) {
+                this.setAudioSettings(e.target.dataset.volumeFor, { volume: e.target.value / 100 }, true);
+            }
+        });
+        this.meterTimer = setInterval(() => this.updateLevelMeters(), 100);
+        
+        // Devices
+        this.setupDeviceSettings();
+        
+        // Push to talk
+        this.setupPushToTalk();
+        
+        // Double-click someone on the map to whisper with them
+        this.canvas.addEventListener('dblclick', (e) => this.onDoubleClick(e));
+        
+        // Chat
+        document.getElementById('chat-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChatMessage();
+        });
+        document.getElementById('chat-load-more').addEventListener('click', () => this.loadMessages(true));
+        
+        document.getElementById('whisper-invites-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-whisper-action]');
+            if (button) {
+                this.respondToWhisper(button.dataset.socketId, button.dataset.whisperAction === 'accept');
+            }
+        });
+        
+        document.getElementById('lobby-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-lobby-action]');
+            if (button) {
+                const event = button.dataset.lobbyAction === 'admit' ? 'admit-user' : 'deny-user';
+                this.socket.emit(event, { target: button.dataset.socketId });
+            }
+        });
+        
         // Volume slider display
         document.getElementById('volume-slider').addEventListener('input', (e) => {
             document.getElementById('volume-value').textContent = `${e.target.value}%`;
         });
+        
+        // Layout editing
+        document.getElementById('layout-edit-btn').addEventListener('click', () => this.startLayoutEditing());
+        document.getElementById('layout-save-btn').addEventListener('click', () => this.saveLayout());
+        document.getElementById('layout-cancel-btn').addEventListener('click', () => this.stopLayoutEditing());
+        document.getElementById('layout-furniture-type').addEventListener('change', (e) => {
+            this.layoutEditor.furnitureType = e.target.value;
+        });
+        document.getElementById('layout-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-tool]');
+            if (button) {
+                this.layoutEditor.setTool(button.dataset.tool);
+                document.querySelectorAll('#layout-toolbar [data-tool]').forEach((toolButton) => {
+                    toolButton.classList.toggle('active', toolButton === button);
+                });
+                this.requestRender();
+            }
+        });
     }
 
-    onMouseDown(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    setupPushToTalk() {
+        this.pushToTalk = this.loadPushToTalk();
         
-        // Check if click is near user position
-        const userCanvasPos = this.spatialAudioManager && this.spatialAudioManager.worldToCanvasPosition ? 
-            this.spatialAudioManager.worldToCanvasPosition(
-                this.userPosition.x, this.userPosition.y, this.userPosition.z,
-                this.canvas.width, this.canvas.height
-            ) : { x: this.canvas.width / 2, y: this.canvas.height / 2 };
+        document.getElementById('ptt-enabled').addEventListener('change', (e) => {
+            this.setPushToTalkEnabled(e.target.checked);
+        });
+        document.getElementById('ptt-key-btn').addEventListener('click', (e) => {
+            this.capturingPttKey = true;
+            e.currentTarget.textContent = 'Press a key...';
+        });
+        document.getElementById('ptt-release-delay').addEventListener('input', (e) => {
+            this.pushToTalk.releaseDelay = Number(e.target.value);
+            this.savePushToTalk();
+            this.updatePushToTalkControls();
+        });
         
-        const distance = Math.sqrt(Math.pow(x - userCanvasPos.x, 2) + Math.pow(y - userCanvasPos.y, 2));
+        // Touch devices hold the on-screen button instead of a key
+        const holdButton = document.getElementById('ptt-hold-btn');
+        holdButton.addEventListener('pointerdown', (e) => {
+            holdButton.setPointerCapture(e.pointerId);
+            this.startTalking();
+        });
+        ['pointerup', 'pointercancel'].forEach((type) => {
+            holdButton.addEventListener(type, () => this.stopTalking());
+        });
+        holdButton.addEventListener('contextmenu', (e) => e.preventDefault());
         
-        if (distance < 20) {
-            this.isDragging = true;
-            this.canvas.style.cursor = 'grabbing';
+        if (this.pushToTalk.enabled) {
+            this.setMuted(true);
         }
+        this.updatePushToTalkControls();
     }
 
-    onMouseMove(e) {
-        if (this.isDragging) {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            this.updateUserPosition(x, y);
+    setPushToTalkEnabled(enabled) {
+        this.pushToTalk.enabled = enabled;
+        this.savePushToTalk();
+        
+        // Turning it on mutes; turning it off leaves us muted until we unmute
+        this.pttHeld = false;
+        clearTimeout(this.pttReleaseTimer);
+        this.pttReleaseTimer = null;
+        if (enabled) {
+            this.setMuted(true);
         }
+        this.updatePushToTalkControls();
     }
 
-    onMouseUp() {
-        this.isDragging = false;
-        this.canvas.style.cursor = 'crosshair';
-    }
-
-    onTouchStart(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const x = touch.clientX - rect.left;
-        const y = touch.clientY - rect.top;
+    updatePushToTalkControls() {
+        const { enabled, key, releaseDelay } = this.pushToTalk;
         
-        this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+        document.getElementById('ptt-enabled').checked = enabled;
+        document.getElementById('ptt-key-btn').textContent = `Key: ${this.formatKey(key)}`;
+        document.getElementById('ptt-release-delay').value = releaseDelay;
+        document.getElementById('ptt-release-value').textContent = `${releaseDelay} ms`;
+        document.getElementById('mute-btn').classList.toggle('hidden', enabled);
+        
+        const holdButton = document.getElementById('ptt-hold-btn');
+        holdButton.classList.toggle('hidden', !enabled);
+        holdButton.classList.toggle('btn-danger', this.pttHeld);
+        holdButton.textContent = this.pttHeld ? 'Talking...' : `Hold to talk (${this.formatKey(key)})`;
     }
 
-    onTouchMove(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+    // 'KeyT' -> 'T', 'Digit1' -> '1'
+    formatKey(code) {
+        return code.replace(/^(Key|Digit)/, '');
     }
 
-    onTouchEnd() {
-        this.onMouseUp();
+    // Keys that already move or turn the avatar can't be used to talk
+    setPushToTalkKey(e) {
+        this.capturingPttKey = false;
+        
+        if (e.code !== 'Escape') {
+            const taken = this.movement.keyDirections[e.key.toLowerCase()] || ['q', 'e'].includes(e.key.toLowerCase());
+            if (taken) {
+                this.showMessage(`${this.formatKey(e.code)} is used for moving around`, 'error');
+            } else {
+                this.pushToTalk.key = e.code;
+                this.savePushToTalk();
+            }
+        }
+        this.updatePushToTalkControls();
     }
 
-    updateUserPosition(canvasX, canvasY) {
-        // Convert canvas coordinates to world position
-        if (this.spatialAudioManager && this.spatialAudioManager.canvasToWorldPosition) {
-            this.userPosition = this.spatialAudioManager.canvasToWorldPosition(
-                canvasX, canvasY, this.canvas.width, this.canvas.height
-            );
-            
-            // Update spatial audio listener position
-            this.spatialAudioManager.setListenerPosition(
-                this.userPosition.x, this.userPosition.y, this.userPosition.z
-            );
-        }
+    startTalking() {
+        if (!this.pushToTalk.enabled) return;
         
-        // Send position update to other users
-        this.socket.emit('position-update', this.userPosition);
+        // Pressing again during the release delay just keeps talking
+        clearTimeout(this.pttReleaseTimer);
+        this.pttReleaseTimer = null;
+        if (this.pttHeld) return;
         
-        // Re-render canvas
-        this.renderSpatialView();
+        this.pttHeld = true;
+        this.setMuted(false);
+        this.updatePushToTalkControls();
     }
 
-    addParticipant(userData) {
-        this.participants.set(userData.socketId, {
-            userId: userData.userId,
-            username: userData.username,
-            position: userData.position || { x: 0, y: 0, z: 0 },
-            muted: userData.muted || false,
-            color: this.generateParticipantColor(userData.userId)
-        });
+    // Stay live for the release delay so the end of a sentence isn't clipped
+    stopTalking() {
+        if (!this.pttHeld) return;
         
-        this.updateParticipantsList();
-        this.renderSpatialView();
-    }
-
-    removeParticipant(socketId) {
-        this.participants.delete(socketId);
-        this.spatialAudioManager.removeAudioSource(socketId);
-        this.updateParticipantsList();
-        this.renderSpatialView();
+        this.pttHeld = false;
+        this.updatePushToTalkControls();
+        this.pttReleaseTimer = setTimeout(() => {
+            this.pttReleaseTimer = null;
+            if (this.pushToTalk.enabled) {
+                this.setMuted(true);
+            }
+        }, this.pushToTalk.releaseDelay);
     }
 
-    updateParticipantPosition(socketId, position) {
+    setupDeviceSettings() {
+        document.getElementById('device-settings-btn').addEventListener('click', () => {
+            document.getElementById('device-settings').classList.toggle('hidden');
+        });
+        document.getElementById('mic-select').addEventListener('change', (e) => {
+            this.changeAudioSettings({ deviceId: e.target.value || null });
+        });
+        document.getElementById('speaker-select').addEventListener('change', (e) => {
+            this.changeOutputDevice(e.target.value);
+        });
+        
+        const processing = {
+            'echo-cancellation': 'echoCancellation',
+            'noise-suppression': 'noiseSuppression',
+            'auto-gain-control': 'autoGainControl'
+        };
+        Object.entries(processing).forEach(([id, setting]) => {
+            const checkbox = document.getElementById(id);
+            checkbox.checked = this.webrtcManager.audioSettings[setting];
+            checkbox.addEventListener('change', () => this.changeAudioSettings({ [setting]: checkbox.checked }));
+        });
+        
+        navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        
+        if (this.deviceSettings.outputDeviceId && this.spatialAudioManager.canSelectOutput()) {
+            this.changeOutputDevice(this.deviceSettings.outputDeviceId);
+        }
+        this.refreshDeviceLists();
+    }
+
+    async refreshDeviceLists() {
+        try {
+            const { inputs, outputs } = await this.webrtcManager.listDevices();
+            const fill = (select, devices, selectedId, fallbackLabel) => {
+                select.innerHTML = '<option value="">System default</option>';
+                devices.filter(device => device.deviceId !== 'default').forEach((device, index) => {
+                    const option = document.createElement('option');
+                    option.value = device.deviceId;
+                    option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+                    select.appendChild(option);
+                });
+                select.value = selectedId || '';
+            };
+            
+            fill(document.getElementById('mic-select'), inputs, this.webrtcManager.audioSettings.deviceId, 'Microphone');
+            
+            const speakerSelect = document.getElementById('speaker-select');
+            if (this.spatialAudioManager.canSelectOutput()) {
+                fill(speakerSelect, outputs, this.spatialAudioManager.outputDeviceId, 'Speakers');
+            } else {
+                speakerSelect.innerHTML = '<option value="">Not supported by this browser</option>';
+                speakerSelect.disabled = true;
+            }
+        } catch (error) {
+            console.error('Error listing devices:', error);
+        }
+    }
+
+    // A device was plugged in or out; fall back to the default if ours is gone
+    async handleDeviceChange() {
+        try {
+            const { inputs, outputs } = await this.webrtcManager.listDevices();
+            const inputId = this.webrtcManager.audioSettings.deviceId;
+            const outputId = this.spatialAudioManager.outputDeviceId;
+            
+            if (inputId && !inputs.some(device => device.deviceId === inputId)) {
+                this.showMessage('Microphone disconnected, switched to the default', 'info');
+                await this.changeAudioSettings({ deviceId: null });
+            }
+            if (outputId && !outputs.some(device => device.deviceId === outputId)) {
+                this.showMessage('Speakers disconnected, switched to the default', 'info');
+                await this.changeOutputDevice('');
+            }
+        } catch (error) {
+            console.error('Error handling device change:', error);
+        }
+        
+        this.refreshDeviceLists();
+    }
+
+    async changeAudioSettings(changes) {
+        try {
+            this.deviceSettings.audio = { ...await this.webrtcManager.updateAudioSettings(changes) };
+            this.saveDeviceSettings();
+            if (this.recorder.isRecording()) {
+                this.recorder.setMicrophone(this.webrtcManager.localStream);
+            }
+        } catch (error) {
+            console.error('Error switching microphone:', error);
+            this.showMessage('Could not switch microphone', 'error');
+        }
+        this.refreshDeviceLists();
+    }
+
+    async changeOutputDevice(deviceId) {
+        try {
+            await this.spatialAudioManager.setOutputDevice(deviceId);
+            document.querySelectorAll('audio[id^="audio-"]').forEach(audioElement => this.applyOutputDevice(audioElement));
+            this.deviceSettings.outputDeviceId = deviceId;
+            this.saveDeviceSettings();
+        } catch (error) {
+            console.error('Error switching speakers:', error);
+            this.showMessage('Could not switch speakers', 'error');
+        }
+        this.refreshDeviceLists();
+    }
+
+    // Streams that play straight from their element (3D audio off) follow the speaker choice too
+    applyOutputDevice(audioElement) {
+        if (audioElement.setSinkId) {
+            audioElement.setSinkId(this.spatialAudioManager.outputDeviceId).catch((error) => {
+                console.error('Error setting audio output:', error);
+            });
+        }
+    }
+
+    onMouseDown(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        
+        // In edit mode the canvas belongs to the layout editor
+        if (this.layoutEditor.active) {
+            this.layoutEditor.handleClick(x, y, this.canvas);
+            this.requestRender();
+            return;
+        }
+        
+        // The handle at the end of the heading line turns the avatar
+        const handle = this.getHeadingHandlePosition();
+        if (handle && Math.hypot(x - handle.x, y - handle.y) < 8) {
+            this.isRotating = true;
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+        
+        // Check if click is near user position
+        const userCanvasPos = this.spatialAudioManager && this.spatialAudioManager.worldToCanvasPosition ? 
+            this.spatialAudioManager.worldToCanvasPosition(
+                this.userPosition.x, this.userPosition.y, this.userPosition.z,
+                this.canvas.width, this.canvas.height
+            ) : { x: this.canvas.width / 2, y: this.canvas.height / 2 };
+        
+        const distance = Math.sqrt(Math.pow(x - userCanvasPos.x, 2) + Math.pow(y - userCanvasPos.y, 2));
+        
+        if (distance < 20) {
+            this.isDragging = true;
+            this.movement.stop();
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+        
+        // Clicking elsewhere walks there; clicks on people are for whispering
+        if (!this.findParticipantAt(x, y)) {
+            this.movement.walkTo(this.spatialAudioManager.canvasToWorldPosition(
+                x, y, this.canvas.width, this.canvas.height
+            ));
+        }
+    }
+
+    onMouseMove(e) {
+        if (this.layoutEditor.active) {
+            const rect = this.canvas.getBoundingClientRect();
+            this.layoutEditor.handleMove(e.clientX - rect.left, e.clientY - rect.top, this.canvas);
+            this.requestRender();
+            return;
+        }
+        
+        if (this.isRotating) {
+            const rect = this.canvas.getBoundingClientRect();
+            const target = this.spatialAudioManager.canvasToWorldPosition(
+                e.clientX - rect.left, e.clientY - rect.top, this.canvas.width, this.canvas.height
+            );
+            
+            this.setHeading(Math.atan2(target.x - this.userPosition.x, this.userPosition.z - target.z));
+            return;
+        }
+        
+        if (this.isDragging) {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            
+            this.updateUserPosition(x, y);
+        }
+    }
+
+    onMouseUp() {
+        this.isDragging = false;
+        this.isRotating = false;
+        this.canvas.style.cursor = 'crosshair';
+    }
+
+    onKeyDown(e) {
+        if (this.capturingPttKey) {
+            e.preventDefault();
+            this.setPushToTalkKey(e);
+            return;
+        }
+        
+        // Leave typing in chat and forms alone
+        if (e.target.closest('input, textarea, select') || e.ctrlKey || e.metaKey || e.altKey) {
+            return;
+        }
+        
+        if (this.pushToTalk.enabled && e.code === this.pushToTalk.key) {
+            e.preventDefault();
+            if (!e.repeat) {
+                this.startTalking();
+            }
+            return;
+        }
+        
+        if (this.movement.pressKey(e.key)) {
+            e.preventDefault();
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        if (key === 'q' || key === 'e') {
+            e.preventDefault();
+            this.setHeading(this.userPosition.heading + (key === 'e' ? 1 : -1) * this.rotateStep);
+        }
+    }
+
+    onDoubleClick(e) {
+        if (this.layoutEditor.active) {
+            const error = this.layoutEditor.finishShape();
+            if (error) {
+                this.showMessage(error, 'error');
+            }
+            this.requestRender();
+            return;
+        }
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const socketId = this.findParticipantAt(e.clientX - rect.left, e.clientY - rect.top);
+        
+        if (socketId) {
+            this.handleParticipantAction(this.whisperWith === socketId ? 'end-whisper' : 'whisper', socketId);
+        }
+    }
+
+    findParticipantAt(x, y) {
+        for (const [socketId, participant] of this.participants) {
+            const position = participant.renderPosition || participant.position;
+            const canvasPos = this.spatialAudioManager.worldToCanvasPosition(
+                position.x, position.y, position.z,
+                this.canvas.width, this.canvas.height
+            );
+            
+            if (Math.hypot(x - canvasPos.x, y - canvasPos.y) <= 15) {
+                return socketId;
+            }
+        }
+        return null;
+    }
+
+    onTouchStart(e) {
+        e.preventDefault();
+        const touch = e.touches[0];
+        const rect = this.canvas.getBoundingClientRect();
+        const x = touch.clientX - rect.left;
+        const y = touch.clientY - rect.top;
+        
+        this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+    }
+
+    onTouchMove(e) {
+        e.preventDefault();
+        const touch = e.touches[0];
+        this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+    }
+
+    onTouchEnd() {
+        this.onMouseUp();
+    }
+
+    updateUserPosition(canvasX, canvasY) {
+        // Convert canvas coordinates to world position
+        if (this.spatialAudioManager && this.spatialAudioManager.canvasToWorldPosition) {
+            const position = this.spatialAudioManager.canvasToWorldPosition(
+                canvasX, canvasY, this.canvas.width, this.canvas.height
+            );
+            
+            // Walls stop the avatar where it is
+            if (!this.layout.canMove(this.userPosition, position, this.movement.clearance)) {
+                return;
+            }
+            this.setUserPosition(position);
+        }
+    }
+
+    // Move our avatar (keeping its heading) and tell everyone who needs to know
+    setUserPosition(position) {
+        this.userPosition = { ...position, heading: this.userPosition.heading };
+        
+        // Update spatial audio listener position
+        this.spatialAudioManager.setListenerPosition(
+            this.userPosition.x, this.userPosition.y, this.userPosition.z
+        );
+        
+        // Stage state and walls between us and others depend on where we stand
+        this.updateOwnStageState();
+        this.refreshAudioRouting();
+        
+        // Send position update to other users
+        this.queuePositionUpdate();
+        
+        // Re-render canvas
+        this.requestRender();
+    }
+
+    setHeading(heading) {
+        const fullTurn = 2 * Math.PI;
+        this.userPosition.heading = ((heading % fullTurn) + fullTurn) % fullTurn;
+        
+        if (this.spatialAudioManager) {
+            this.spatialAudioManager.setListenerHeading(this.userPosition.heading);
+        }
+        
+        // Heading travels with the position
+        this.queuePositionUpdate();
+        this.requestRender();
+    }
+
+    // Throttle position-update emits; the latest position is always sent last
+    queuePositionUpdate() {
+        if (this.positionSendTimer) {
+            return;
+        }
+        
+        const elapsed = Date.now() - this.lastPositionSentAt;
+        const delay = Math.max(0, this.positionSendInterval - elapsed);
+        
+        this.positionSendTimer = setTimeout(() => {
+            this.positionSendTimer = null;
+            this.lastPositionSentAt = Date.now();
+            this.socket.emit('position-update', this.userPosition);
+        }, delay);
+    }
+
+    addParticipant(userData) {
+        this.participants.set(userData.socketId, {
+            userId: userData.userId,
+            username: userData.username,
+            position: userData.position || { x: 0, y: 0, z: 0 },
+            renderFrom: null, // where the avatar was drawn when the position last changed
+            movedAt: 0,
+            muted: userData.muted || false,
+            forceMuted: userData.forceMuted || false,
+            reportedSpeaking: userData.speaking || false,
+            reconnecting: userData.reconnecting || false,
+            whisperWith: userData.whisperWith || null,
+            stageAccess: userData.stageAccess || false,
+            color: this.generateParticipantColor(userData.userId)
+        });
+        
+        this.applyAudioRouting(userData.socketId);
+        this.updateParticipantsList();
+        this.requestRender();
+    }
+
+    removeParticipant(socketId) {
+        this.participants.delete(socketId);
+        if (this.whisperInvites.delete(socketId)) {
+            this.updateWhisperInvites();
+        }
+        this.spatialAudioManager.removeAudioSource(socketId);
+        this.updateParticipantsList();
+        this.requestRender();
+    }
+
+    resumeParticipant(userData) {
+        // Same participant, new socket id: keep the entry rather than leave/join
+        this.participants.delete(userData.previousSocketId);
+        this.addParticipant(userData);
+    }
+
+    updateParticipantReconnecting(socketId, reconnecting) {
+        const participant = this.participants.get(socketId);
+        if (participant) {
+            participant.reconnecting = reconnecting;
+            this.applyAudioRouting(socketId);
+            this.updateParticipantsList();
+            this.requestRender();
+        }
+    }
+
+    updateParticipantPosition(socketId, position) {
         const participant = this.participants.get(socketId);
         if (participant) {
+            const wasOnStage = this.isParticipantOnStage(participant);
+            const now = performance.now();
+            participant.renderFrom = this.getRenderPosition(participant, now);
+            participant.movedAt = now;
             participant.position = position;
             this.spatialAudioManager.updateAudioSourcePosition(socketId, position);
-            this.renderSpatialView();
+            this.applyAudioRouting(socketId);
+            
+            // The participants list marks who is on stage
+            if (this.isParticipantOnStage(participant) !== wasOnStage) {
+                this.updateParticipantsList();
+            }
+            return true;
         }
+        return false;
     }
 
-    updateParticipantMuteStatus(socketId, muted) {
+    applyPositionsSnapshot(snapshot) {
+        let changed = false;
+        
+        snapshot.positions.forEach(({ socketId, position }) => {
+            if (this.updateParticipantPosition(socketId, position)) {
+                changed = true;
+            }
+        });
+        
+        // The render loop glides everyone to their new positions
+        if (changed) {
+            this.requestRender();
+        }
+    }
+
+    updateParticipantMuteStatus(socketId, muted, forceMuted) {
         const participant = this.participants.get(socketId);
         if (participant) {
             participant.muted = muted;
+            participant.forceMuted = !!forceMuted;
             this.updateParticipantsList();
-            this.renderSpatialView();
+            this.requestRender();
         }
     }
 
@@ -276,6 +1210,7 @@ class RoomManager {
         audioElement.srcObject = stream;
         audioElement.autoplay = true;
         audioElement.controls = false;
+        this.applyOutputDevice(audioElement);
         
         // Add to audio elements container
         document.getElementById('audio-elements').appendChild(audioElement);
@@ -289,31 +1224,266 @@ class RoomManager {
             const participant = this.participants.get(peerId);
             if (participant) {
                 this.spatialAudioManager.updateAudioSourcePosition(peerId, participant.position);
+                this.applyAudioRouting(peerId);
+            }
+        });
+    }
+
+    // Record a whisper starting or ending between two participants, one of
+    // which may be us
+    setWhisperPair(pair, active, reason) {
+        const ownId = this.socket.id;
+        
+        pair.forEach((socketId, index) => {
+            const partnerId = active ? pair[1 - index] : null;
+            if (socketId === ownId) {
+                this.whisperWith = partnerId;
+            } else if (this.participants.has(socketId)) {
+                this.participants.get(socketId).whisperWith = partnerId;
+            }
+        });
+        
+        pair.forEach((socketId) => this.applyAudioRouting(socketId));
+        
+        // Someone now whispering with another person can't be answered any more
+        if (active && pair.filter((socketId) => this.whisperInvites.delete(socketId)).length > 0) {
+            this.updateWhisperInvites();
+        }
+        
+        if (pair.includes(ownId)) {
+            const partner = this.participants.get(pair.find((socketId) => socketId !== ownId));
+            const name = partner ? partner.username : 'your partner';
+            
+            if (active) {
+                this.showMessage(`Whispering with ${name}; nobody else can hear you`, 'success');
+            } else if (reason === 'moved-apart') {
+                this.showMessage('Whisper ended because you moved apart', 'info');
+            } else {
+                this.showMessage(`Whisper with ${name} ended`, 'info');
+            }
+        }
+        
+        this.updateParticipantsList();
+        this.requestRender();
+    }
+
+    // Our whisper partner and whoever is on stage play at full volume without
+    // panning. Anyone whispering with someone else is silent to us, and so is
+    // the audience beyond our hearing radius while we are on stage (we are
+    // connected to all of them then).
+    applyAudioRouting(socketId) {
+        const participant = this.participants.get(socketId);
+        if (!participant) return;
+        
+        const isPartner = this.whisperWith === socketId;
+        const onStage = this.isParticipantOnStage(participant);
+        const outOfRange = this.onStage && !onStage && !isPartner &&
+            this.getDistance(this.userPosition, participant.position) > this.hearingRadius;
+        const silenced = (!isPartner && !!participant.whisperWith) || outOfRange;
+        const settings = this.getAudioSettings(participant.userId);
+        
+        this.spatialAudioManager.setSourceVolume(socketId, settings.muted ? 0 : settings.volume);
+        this.spatialAudioManager.setSourceDirect(socketId, isPartner || onStage);
+        this.spatialAudioManager.setSourceStage(socketId, onStage);
+        this.spatialAudioManager.setSourceSilenced(socketId, silenced);
+        this.spatialAudioManager.setSourceOcclusion(
+            socketId, this.layout.countWallsBetween(this.userPosition, participant.position)
+        );
+        
+        // Streams that joined while 3D audio was off play straight from the
+        // element. Elements feeding the graph are silenced by the calls above;
+        // muting them too would starve the voice activity analyser.
+        const audioElement = document.getElementById(`audio-${socketId}`);
+        if (audioElement) {
+            audioElement.muted = !this.spatialAudioManager.getAudioSourceInfo(socketId) &&
+                (silenced || settings.muted);
+        }
+    }
+
+    isParticipantOnStage(participant) {
+        return this.isOnStage(participant.stageAccess && !participant.reconnecting, participant.position);
+    }
+
+    isOnStage(stageAccess, position) {
+        const area = this.stageArea;
+        return !!stageAccess && !!area &&
+            position.x >= area.minX && position.x <= area.maxX &&
+            position.z >= area.minZ && position.z <= area.maxZ;
+    }
+
+    getDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    }
+
+    refreshAudioRouting() {
+        this.participants.forEach((participant, socketId) => this.applyAudioRouting(socketId));
+    }
+
+    // Tell the user when they step on or off the stage
+    updateOwnStageState() {
+        const onStage = this.isOnStage(this.stageAccess, this.userPosition);
+        if (onStage === this.onStage) return;
+        
+        this.onStage = onStage;
+        this.showMessage(onStage ? 'You are on stage; the whole room can hear you' : 'You left the stage', 'info');
+        this.updateParticipantsList();
+        this.refreshAudioRouting();
+    }
+
+    // Detected from their audio when we receive it, otherwise as they report it
+    isParticipantSpeaking(socketId, participant) {
+        if (participant.muted || participant.reconnecting) {
+            return false;
+        }
+        
+        return this.spatialAudioManager.getAudioSourceInfo(socketId) ?
+            this.spatialAudioManager.isSourceSpeaking(socketId) :
+            !!participant.reportedSpeaking;
+    }
+
+    // Badges are updated in place so the list (and any slider being dragged)
+    // isn't rebuilt every time someone starts or stops talking
+    handleSpeakingChange() {
+        this.updateSpeakingBadges();
+        this.requestRender();
+    }
+
+    handleStageAccessUpdated(data) {
+        if (data.socketId === this.socket.id) {
+            this.stageAccess = data.stageAccess;
+            this.showMessage(data.stageAccess ?
+                'You may now present: step onto the stage to be heard by everyone' :
+                'Your stage access was removed', 'info');
+            this.updateOwnStageState();
+        } else if (this.participants.has(data.socketId)) {
+            this.participants.get(data.socketId).stageAccess = data.stageAccess;
+            this.applyAudioRouting(data.socketId);
+        }
+        
+        this.updateParticipantsList();
+        this.requestRender();
+    }
+
+    handleWhisperError(error) {
+        const messages = {
+            NOT_IN_ROOM: 'You are not in the room yet',
+            TARGET_NOT_IN_ROOM: 'That participant is no longer available',
+            ALREADY_WHISPERING: 'One of you is already in a whisper',
+            TOO_FAR: 'Move closer to whisper with them'
+        };
+        
+        this.showMessage(messages[error.code] || 'Could not start the whisper', 'error');
+    }
+
+    toggleMute() {
+        this.setMuted(!this.isMuted);
+    }
+
+    setMuted(muted) {
+        if (muted === this.isMuted) return;
+        
+        if (this.webrtcManager.forceMuted && this.isMuted) {
+            this.showMessage('A moderator has muted you', 'error');
+            return;
+        }
+        
+        this.isMuted = this.webrtcManager.setMuted(muted);
+        this.updateMuteButton();
+        
+        // Notify other users
+        this.socket.emit('toggle-mute', this.isMuted);
+    }
+
+    updateMuteButton() {
+        const muteIcon = document.getElementById('mute-icon');
+        const muteText = document.getElementById('mute-text');
+        
+        if (this.isMuted) {
+            muteIcon.textContent = '🔇';
+            muteText.textContent = 'Unmute';
+            document.getElementById('mute-btn').classList.add('btn-danger');
+            document.getElementById('mute-btn').classList.remove('btn-primary');
+        } else {
+            muteIcon.textContent = '🎤';
+            muteText.textContent = 'Mute';
+            document.getElementById('mute-btn').classList.add('btn-primary');
+            document.getElementById('mute-btn').classList.remove('btn-danger');
+        }
+    }
+
+    toggleRecording() {
+        if (this.recorder.isRecording()) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+
+    async startRecording() {
+        const recordButton = document.getElementById('record-btn');
+        recordButton.disabled = true;
+        
+        try {
+            await this.spatialAudioManager.resumeContext();
+            await this.recorder.start(this.webrtcManager.localStream);
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            this.showMessage(error.message, 'error');
+        }
+        
+        recordButton.disabled = false;
+        this.updateRecordButton();
+    }
+
+    async stopRecording() {
+        if (!this.recorder.isRecording()) return;
+        
+        const recordButton = document.getElementById('record-btn');
+        recordButton.disabled = true;
+        
+        try {
+            await this.recorder.stop();
+            this.showMessage('Recording saved', 'success');
+        } catch (error) {
+            console.error('Error stopping recording:', error);
+            this.showMessage(error.message, 'error');
+        }
+        
+        recordButton.disabled = false;
+        this.updateRecordButton();
+    }
+
+    // A recording of ours the server still has open but we are not making,
+    // e.g. after reloading the page, only has what was uploaded; close it
+    finishOrphanedRecordings() {
+        const current = this.recorder.recording;
+        this.recordings.forEach((recording) => {
+            if (recording.userId === this.currentUser.id && (!current || current.id !== recording.id)) {
+                fetch(`/api/rooms/${this.roomId}/recordings/${recording.id}/complete`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({})
+                }).catch((error) => console.error('Error finishing recording:', error));
             }
         });
     }
 
-    toggleMute() {
-        this.isMuted = this.webrtcManager.toggleMute();
-        
-        // Update UI
-        const muteIcon = document.getElementById('mute-icon');
-        const muteText = document.getElementById('mute-text');
+    updateRecordButton() {
+        const recordButton = document.getElementById('record-btn');
+        const recording = this.recorder.isRecording();
         
-        if (this.isMuted) {
-            muteIcon.textContent = '🔇';
-            muteText.textContent = 'Unmute';
-            document.getElementById('mute-btn').classList.add('btn-danger');
-            document.getElementById('mute-btn').classList.remove('btn-primary');
-        } else {
-            muteIcon.textContent = '🎤';
-            muteText.textContent = 'Mute';
-            document.getElementById('mute-btn').classList.add('btn-primary');
-            document.getElementById('mute-btn').classList.remove('btn-danger');
-        }
+        recordButton.textContent = recording ? '⏹ Stop Recording' : '⏺ Record';
+        recordButton.classList.toggle('btn-danger', recording);
+        recordButton.classList.toggle('btn-secondary', !recording);
+    }
+
+    // Everyone in the room sees when they are being recorded, and by whom
+    updateRecordingNotice() {
+        const notice = document.getElementById('recording-notice');
+        const names = Array.from(new Set(Array.from(this.recordings.values(), recording => recording.username)));
         
-        // Notify other users
-        this.socket.emit('toggle-mute', this.isMuted);
+        notice.textContent = `🔴 Recording in progress (${names.join(', ')})`;
+        notice.classList.toggle('hidden', this.recordings.size === 0);
     }
 
     setVolume(volume) {
@@ -327,13 +1497,73 @@ class RoomManager {
         spatialText.textContent = `3D Audio: ${this.spatialEnabled ? 'ON' : 'OFF'}`;
     }
 
-    renderSpatialView() {
+    // Coalesce redraws into one per animation frame, and keep drawing while
+    // remote avatars are still gliding to their latest positions or anyone
+    // is speaking
+    requestRender() {
+        if (this.renderFrame) return;
+        
+        this.renderFrame = requestAnimationFrame((now) => {
+            this.renderFrame = null;
+            this.renderSpatialView(now);
+            
+            // Speaking rings pulse for as long as someone talks
+            const animating = this.speaking || Array.from(this.participants).some(([socketId, participant]) =>
+                now - participant.movedAt < this.interpolationTime || this.isParticipantSpeaking(socketId, participant)
+            );
+            if (animating) {
+                this.requestRender();
+            }
+        });
+    }
+
+    // Where to draw a participant: between where they were drawn and their
+    // latest position, so avatars move smoothly between snapshots
+    getRenderPosition(participant, now) {
+        const to = participant.position;
+        const from = participant.renderFrom;
+        const t = Math.min(1, (now - participant.movedAt) / this.interpolationTime);
+        if (!from || t >= 1) {
+            return to;
+        }
+        
+        // Turn the short way round
+        const fromHeading = from.heading || 0;
+        let turn = (to.heading || 0) - fromHeading;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            z: from.z + (to.z - from.z) * t,
+            heading: fromHeading + turn * t
+        };
+    }
+
+    renderSpatialView(now = performance.now()) {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        this.participants.forEach((participant) => {
+            participant.renderPosition = this.getRenderPosition(participant, now);
+        });
+        
         // Draw grid
         this.drawGrid();
         
+        // Draw the layout, or the draft while it is being edited
+        if (this.spatialAudioManager) {
+            this.drawLayout(this.layoutEditor.active ? this.layoutEditor.draft : this.layout);
+        }
+        
+        if (this.stageArea) {
+            this.drawStage();
+        }
+        
+        if (this.layoutEditor && this.layoutEditor.active) {
+            this.layoutEditor.drawPending(this.ctx, this.canvas);
+        }
+        
         // Draw user position (blue circle)
         const userCanvasPos = this.spatialAudioManager && this.spatialAudioManager.worldToCanvasPosition ? 
             this.spatialAudioManager.worldToCanvasPosition(
@@ -341,10 +1571,25 @@ class RoomManager {
                 this.canvas.width, this.canvas.height
             ) : { x: this.canvas.width / 2, y: this.canvas.height / 2 };
         
+        // Draw hearing radius; only people inside it are connected
+        if (this.hearingRadius) {
+            this.drawHearingRadius(userCanvasPos);
+        }
+        
+        this.drawWhispers(userCanvasPos);
+        
+        this.drawHeading(this.userPosition, userCanvasPos, 15, '#007bff');
+        
         this.ctx.fillStyle = '#007bff';
         this.ctx.beginPath();
         this.ctx.arc(userCanvasPos.x, userCanvasPos.y, 15, 0, 2 * Math.PI);
         this.ctx.fill();
+        if (this.onStage) {
+            this.drawStageRing(userCanvasPos, 15);
+        }
+        if (this.speaking) {
+            this.drawSpeakingRing(userCanvasPos, 15, now);
+        }
         
         // Draw user label
         this.ctx.fillStyle = 'white';
@@ -354,17 +1599,28 @@ class RoomManager {
         
         // Draw other participants
         this.participants.forEach((participant, socketId) => {
+            const position = participant.renderPosition;
             const canvasPos = this.spatialAudioManager && this.spatialAudioManager.worldToCanvasPosition ? 
                 this.spatialAudioManager.worldToCanvasPosition(
-                    participant.position.x, participant.position.y, participant.position.z,
+                    position.x, position.y, position.z,
                     this.canvas.width, this.canvas.height
                 ) : { x: Math.random() * this.canvas.width, y: Math.random() * this.canvas.height };
             
-            // Draw participant circle
+            // Draw participant circle (faded while reconnecting)
+            this.ctx.globalAlpha = participant.reconnecting ? 0.4 : 1;
+            this.drawHeading(position, canvasPos, 12, participant.color);
             this.ctx.fillStyle = participant.muted ? '#666' : participant.color;
             this.ctx.beginPath();
             this.ctx.arc(canvasPos.x, canvasPos.y, 12, 0, 2 * Math.PI);
             this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+            
+            if (this.isParticipantOnStage(participant)) {
+                this.drawStageRing(canvasPos, 12);
+            }
+            if (this.isParticipantSpeaking(socketId, participant)) {
+                this.drawSpeakingRing(canvasPos, 12, now);
+            }
             
             // Draw mute indicator
             if (participant.muted) {
@@ -382,6 +1638,272 @@ class RoomManager {
         });
     }
 
+    drawHearingRadius(center) {
+        // World units map to canvas pixels differently on each axis
+        const edge = this.spatialAudioManager.worldToCanvasPosition(
+            this.userPosition.x + this.hearingRadius, 0, this.userPosition.z + this.hearingRadius,
+            this.canvas.width, this.canvas.height
+        );
+        
+        this.ctx.strokeStyle = 'rgba(0, 123, 255, 0.4)';
+        this.ctx.setLineDash([6, 6]);
+        this.ctx.beginPath();
+        this.ctx.ellipse(center.x, center.y, edge.x - center.x, edge.y - center.y, 0, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    drawLayout(layout) {
+        const toCanvas = (point) => this.spatialAudioManager.worldToCanvasPosition(
+            point.x, 0, point.z, this.canvas.width, this.canvas.height
+        );
+        const tracePolygon = (points) => {
+            this.ctx.beginPath();
+            points.forEach((point, index) => {
+                const canvasPos = toCanvas(point);
+                if (index === 0) {
+                    this.ctx.moveTo(canvasPos.x, canvasPos.y);
+                } else {
+                    this.ctx.lineTo(canvasPos.x, canvasPos.y);
+                }
+            });
+        };
+        
+        // Zones: tinted areas with their name in the middle
+        layout.zones.forEach((zone) => {
+            tracePolygon(zone.points);
+            this.ctx.closePath();
+            this.ctx.fillStyle = 'rgba(78, 205, 196, 0.08)';
+            this.ctx.fill();
+            this.ctx.strokeStyle = 'rgba(78, 205, 196, 0.4)';
+            this.ctx.stroke();
+            
+            const center = toCanvas({
+                x: zone.points.reduce((sum, point) => sum + point.x, 0) / zone.points.length,
+                z: zone.points.reduce((sum, point) => sum + point.z, 0) / zone.points.length
+            });
+            this.ctx.fillStyle = 'rgba(78, 205, 196, 0.8)';
+            this.ctx.font = '12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(zone.name, center.x, center.y);
+        });
+        
+        // Furniture: rectangles labelled with their type
+        layout.furniture.forEach((item) => {
+            const topLeft = toCanvas({ x: item.x - item.width / 2, z: item.z - item.depth / 2 });
+            const bottomRight = toCanvas({ x: item.x + item.width / 2, z: item.z + item.depth / 2 });
+            
+            this.ctx.fillStyle = 'rgba(225, 112, 85, 0.35)';
+            this.ctx.fillRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            this.ctx.font = '9px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(item.type, (topLeft.x + bottomRight.x) / 2, (topLeft.y + bottomRight.y) / 2 + 3);
+        });
+        
+        // Walls: thick lines
+        this.ctx.strokeStyle = '#d0d0e0';
+        this.ctx.lineWidth = 4;
+        this.ctx.lineCap = 'round';
+        layout.walls.forEach((wall) => {
+            tracePolygon(wall.points);
+            this.ctx.stroke();
+        });
+        this.ctx.lineWidth = 1;
+        this.ctx.lineCap = 'butt';
+    }
+
+    startLayoutEditing() {
+        this.isDragging = false;
+        this.layoutEditor.start(this.layout);
+        document.getElementById('layout-edit-btn').classList.add('hidden');
+        document.getElementById('layout-toolbar').classList.remove('hidden');
+        this.requestRender();
+    }
+
+    stopLayoutEditing() {
+        this.layoutEditor.stop();
+        document.getElementById('layout-edit-btn').classList.remove('hidden');
+        document.getElementById('layout-toolbar').classList.add('hidden');
+        this.requestRender();
+    }
+
+    async saveLayout() {
+        try {
+            const response = await fetch(`/api/rooms/${this.roomId}/layout`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.layoutEditor.draft.toJSON())
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showMessage(data.error || 'Failed to save layout', 'error');
+                return;
+            }
+            
+            // layout-updated brings the saved layout to everyone, us included
+            this.layout = new RoomLayout(data.layout);
+            this.stopLayoutEditing();
+            this.showMessage('Layout saved', 'success');
+        } catch (error) {
+            console.error('Error saving layout:', error);
+            this.showMessage('Failed to save layout', 'error');
+        }
+    }
+
+    // The stage area, labelled with whoever is presenting from it
+    drawStage() {
+        const area = this.stageArea;
+        const topLeft = this.spatialAudioManager.worldToCanvasPosition(
+            area.minX, 0, area.minZ, this.canvas.width, this.canvas.height
+        );
+        const bottomRight = this.spatialAudioManager.worldToCanvasPosition(
+            area.maxX, 0, area.maxZ, this.canvas.width, this.canvas.height
+        );
+        const width = bottomRight.x - topLeft.x;
+        const height = bottomRight.y - topLeft.y;
+        
+        this.ctx.fillStyle = 'rgba(255, 217, 61, 0.12)';
+        this.ctx.fillRect(topLeft.x, topLeft.y, width, height);
+        this.ctx.strokeStyle = 'rgba(255, 217, 61, 0.6)';
+        this.ctx.strokeRect(topLeft.x, topLeft.y, width, height);
+        
+        const presenters = [];
+        if (this.onStage) {
+            presenters.push('You');
+        }
+        this.participants.forEach((participant) => {
+            if (this.isParticipantOnStage(participant)) {
+                presenters.push(participant.username);
+            }
+        });
+        
+        this.ctx.fillStyle = 'rgba(255, 217, 61, 0.9)';
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(
+            presenters.length > 0 ? `🎙️ Stage: ${presenters.join(', ')}` : 'Stage',
+            topLeft.x + width / 2, bottomRight.y + 14
+        );
+    }
+
+    // Unit vector on the canvas pointing the way a position faces
+    getHeadingDirection(position) {
+        const heading = position.heading || 0;
+        const from = this.spatialAudioManager.worldToCanvasPosition(
+            position.x, 0, position.z, this.canvas.width, this.canvas.height
+        );
+        const to = this.spatialAudioManager.worldToCanvasPosition(
+            position.x + Math.sin(heading), 0, position.z - Math.cos(heading),
+            this.canvas.width, this.canvas.height
+        );
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        
+        return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+    }
+
+    getHeadingHandlePosition() {
+        if (!this.spatialAudioManager) return null;
+        
+        const center = this.spatialAudioManager.worldToCanvasPosition(
+            this.userPosition.x, this.userPosition.y, this.userPosition.z,
+            this.canvas.width, this.canvas.height
+        );
+        const direction = this.getHeadingDirection(this.userPosition);
+        
+        return { x: center.x + direction.x * 30, y: center.y + direction.y * 30 };
+    }
+
+    // Line from the avatar the way it faces; our own ends in a drag handle
+    drawHeading(position, center, radius, color) {
+        if (!this.spatialAudioManager) return;
+        
+        const direction = this.getHeadingDirection(position);
+        const length = position === this.userPosition ? 30 : radius + 8;
+        const end = { x: center.x + direction.x * length, y: center.y + direction.y * length };
+        
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(center.x, center.y);
+        this.ctx.lineTo(end.x, end.y);
+        this.ctx.stroke();
+        this.ctx.lineWidth = 1;
+        
+        if (position === this.userPosition) {
+            this.ctx.fillStyle = 'white';
+            this.ctx.strokeStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(end.x, end.y, 6, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+    }
+
+    drawSpeakingRing(center, radius, now) {
+        const pulse = (Math.sin(now / 120) + 1) / 2;
+        
+        this.ctx.strokeStyle = `rgba(40, 167, 69, ${0.5 + pulse * 0.5})`;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, radius + 7 + pulse * 4, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.lineWidth = 1;
+    }
+
+    drawStageRing(center, radius) {
+        this.ctx.strokeStyle = '#ffd93d';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, radius + 3, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.lineWidth = 1;
+    }
+
+    // Dashed link between each whispering pair
+    drawWhispers(userCanvasPos) {
+        const canvasPositions = new Map([[this.socket.id, userCanvasPos]]);
+        this.participants.forEach((participant, socketId) => {
+            canvasPositions.set(socketId, this.spatialAudioManager.worldToCanvasPosition(
+                participant.renderPosition.x, participant.renderPosition.y, participant.renderPosition.z,
+                this.canvas.width, this.canvas.height
+            ));
+        });
+        
+        const pairs = [];
+        if (this.whisperWith) {
+            pairs.push([this.socket.id, this.whisperWith]);
+        }
+        this.participants.forEach((participant, socketId) => {
+            // Each pair is seen from both sides; draw it once
+            if (participant.whisperWith && participant.whisperWith !== this.socket.id &&
+                socketId < participant.whisperWith) {
+                pairs.push([socketId, participant.whisperWith]);
+            }
+        });
+        
+        pairs.forEach(([a, b]) => {
+            const from = canvasPositions.get(a);
+            const to = canvasPositions.get(b);
+            if (!from || !to) return;
+            
+            this.ctx.strokeStyle = 'rgba(253, 121, 168, 0.8)';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(from.x, from.y);
+            this.ctx.lineTo(to.x, to.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.lineWidth = 1;
+            
+            this.ctx.font = '14px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('🤫', (from.x + to.x) / 2, (from.y + to.y) / 2 - 6);
+        });
+    }
+
     drawGrid() {
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
         this.ctx.lineWidth = 1;
@@ -416,29 +1938,380 @@ class RoomManager {
         participantCount.textContent = this.participants.size + 1; // +1 for current user
         
         participantsList.innerHTML = `
-            <div class="participant-item">
-                <span class="participant-name">${this.currentUser.username} (You)</span>
+            <div class="participant-item" data-socket-id="self">
+                <span class="participant-name">${this.escapeHtml(this.currentUser.username)} (You)${this.getRoleBadge(this.currentUser.id)}${this.onStage ? ' 🎙️' : ''}<span class="speaking-badge${this.speaking ? '' : ' hidden'}"> 🗣️</span></span>
                 <span class="participant-status ${this.isMuted ? 'muted' : 'unmuted'}">${this.isMuted ? 'Muted' : 'Active'}</span>
+                <div class="participant-audio"><div class="level-meter"><div class="level-meter-fill"></div></div></div>
             </div>
         `;
         
         this.participants.forEach((participant, socketId) => {
             const participantItem = document.createElement('div');
             participantItem.className = 'participant-item';
-            participantItem.innerHTML = `
-                <span class="participant-name">${participant.username}</span>
-                <span class="participant-status ${participant.muted ? 'muted' : 'unmuted'}">${participant.muted ? 'Muted' : 'Active'}</span>
-            `;
+            participantItem.dataset.socketId = socketId;
+            if (participant.reconnecting) {
+                participantItem.innerHTML = `
+                    <span class="participant-name">${this.escapeHtml(participant.username)}</span>
+                    <span class="participant-status reconnecting">Reconnecting</span>
+                `;
+            } else {
+                participantItem.innerHTML = `
+                    <span class="participant-name">${this.escapeHtml(participant.username)}</span>
+                    <span class="participant-status ${participant.muted ? 'muted' : 'unmuted'}">${participant.muted ? 'Muted' : 'Active'}</span>
+                `;
+            }
+            
+            participantItem.querySelector('.participant-name').insertAdjacentHTML(
+                'beforeend', this.getRoleBadge(participant.userId) +
+                    (this.isParticipantOnStage(participant) ? ' 🎙️' : '') +
+                    (participant.whisperWith ? ' 🤫' : '') +
+                    `<span class="speaking-badge${this.isParticipantSpeaking(socketId, participant) ? '' : ' hidden'}"> 🗣️</span>`
+            );
+            
+            if (!participant.reconnecting) {
+                participantItem.appendChild(this.createAudioControls(socketId, participant));
+            }
+            
+            const actions = this.createParticipantActions(socketId, participant);
+            if (actions) {
+                participantItem.appendChild(actions);
+            }
             participantsList.appendChild(participantItem);
         });
     }
 
+    getRoleBadge(userId) {
+        const role = this.getRole(userId);
+        return role === 'participant' ? '' : ` <span class="participant-role">${role}</span>`;
+    }
+
+    // Level meter, volume slider and "mute for me"; only affects what we hear
+    createAudioControls(socketId, participant) {
+        const settings = this.getAudioSettings(participant.userId);
+        const volume = Math.round(settings.volume * 100);
+        
+        const controls = document.createElement('div');
+        controls.className = 'participant-audio';
+        controls.innerHTML = `
+            <div class="level-meter"><div class="level-meter-fill"></div></div>
+            <input type="range" min="0" max="200" value="${volume}" title="Volume for you" ${settings.muted ? 'disabled' : ''}>
+            <span class="participant-volume">${volume}%</span>
+            <button class="btn btn-secondary">${settings.muted ? 'Unmute for me' : 'Mute for me'}</button>
+        `;
+        controls.querySelector('input').dataset.volumeFor = socketId;
+        controls.querySelector('button').dataset.action = 'local-mute';
+        controls.querySelector('button').dataset.socketId = socketId;
+        
+        return controls;
+    }
+
+    // Meters show each voice before distance and volume are applied
+    updateLevelMeters() {
+        document.querySelectorAll('#participants-list [data-socket-id]').forEach((item) => {
+            const fill = item.querySelector('.level-meter-fill');
+            if (!fill) return;
+            
+            const socketId = item.dataset.socketId;
+            const level = socketId === 'self' ?
+                (this.webrtcManager.localVad && !this.isMuted ? this.webrtcManager.localVad.level : 0) :
+                this.spatialAudioManager.getSourceLevel(socketId);
+            fill.style.width = `${Math.min(100, Math.sqrt(level / 0.3) * 100)}%`;
+        });
+    }
+
+    updateSpeakingBadges() {
+        document.querySelectorAll('#participants-list [data-socket-id]').forEach((item) => {
+            const socketId = item.dataset.socketId;
+            const participant = this.participants.get(socketId);
+            const speaking = socketId === 'self' ? this.speaking :
+                !!participant && this.isParticipantSpeaking(socketId, participant);
+            item.querySelector('.speaking-badge').classList.toggle('hidden', !speaking);
+        });
+    }
+
+    createParticipantActions(socketId, participant) {
+        const buttons = [];
+        
+        if (this.whisperWith === socketId) {
+            buttons.push(['end-whisper', 'End whisper']);
+        } else if (!this.whisperWith && !participant.whisperWith && !participant.reconnecting) {
+            buttons.push(['whisper', 'Whisper']);
+        }
+        
+        if (this.canModerate(participant.userId)) {
+            buttons.push(
+                participant.forceMuted ? ['allow-unmute', 'Allow unmute'] : ['force-mute', 'Mute'],
+                ['kick', 'Kick'],
+                ['ban', 'Ban']
+            );
+            
+            // Only the owner hands out the moderator role and stage access
+            if (this.getRole(this.currentUser.id) === 'owner') {
+                buttons.push(this.getRole(participant.userId) === 'moderator' ?
+                    ['demote', 'Remove moderator'] : ['promote', 'Make moderator']);
+                buttons.push(participant.stageAccess ?
+                    ['revoke-stage', 'Revoke stage'] : ['grant-stage', 'Allow on stage']);
+            }
+        }
+        
+        if (buttons.length === 0) {
+            return null;
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'participant-actions';
+        
+        buttons.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.dataset.action = action;
+            button.dataset.socketId = socketId;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+        
+        return actions;
+    }
+
+    async handleParticipantAction(action, socketId) {
+        const participant = this.participants.get(socketId);
+        if (!participant) return;
+        
+        switch (action) {
+            case 'whisper':
+                this.socket.emit('whisper-request', { target: socketId });
+                this.showMessage(`Asked ${participant.username} to whisper`, 'info');
+                break;
+            case 'end-whisper':
+                this.socket.emit('whisper-end');
+                break;
+            case 'local-mute':
+                this.setAudioSettings(socketId, {
+                    muted: !this.getAudioSettings(participant.userId).muted
+                }, true);
+                this.updateParticipantsList();
+                break;
+            case 'grant-stage':
+            case 'revoke-stage':
+                this.socket.emit('stage-access', { target: socketId, granted: action === 'grant-stage' });
+                break;
+            case 'force-mute':
+            case 'allow-unmute':
+                this.socket.emit('force-mute', { target: socketId, muted: action === 'force-mute' });
+                break;
+            case 'kick':
+                if (confirm(`Remove ${participant.username} from the room?`)) {
+                    this.socket.emit('kick-participant', { target: socketId });
+                }
+                break;
+            case 'ban':
+                if (confirm(`Ban ${participant.username} from the room? They will not be able to rejoin.`)) {
+                    this.socket.emit('ban-participant', { target: socketId });
+                }
+                break;
+            case 'promote':
+            case 'demote':
+                await this.setRole(participant, action === 'promote' ? 'moderator' : 'participant');
+                break;
+        }
+    }
+
+    async setRole(participant, role) {
+        try {
+            const response = await fetch(`/api/rooms/${this.roomId}/roles/${participant.userId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ role })
+            });
+            const data = await response.json();
+            
+            // role-updated from the server refreshes the list
+            if (!data.success) {
+                this.showMessage(data.error || 'Failed to change role', 'error');
+            }
+        } catch (error) {
+            console.error('Error changing role:', error);
+            this.showMessage('Failed to change role', 'error');
+        }
+    }
+
+    updateLobbyList() {
+        const lobbySection = document.getElementById('lobby-section');
+        const lobbyList = document.getElementById('lobby-list');
+        
+        // The server stops sending updates once we lose the role, so check it here too
+        if (this.lobby.length === 0 || !this.isModerator()) {
+            lobbySection.classList.add('hidden');
+            return;
+        }
+        
+        lobbySection.classList.remove('hidden');
+        document.getElementById('lobby-count').textContent = this.lobby.length;
+        
+        lobbyList.innerHTML = '';
+        this.lobby.forEach(({ socketId, username }) => {
+            const lobbyItem = document.createElement('div');
+            lobbyItem.className = 'participant-item';
+            lobbyItem.innerHTML = `
+                <span class="participant-name">${this.escapeHtml(username)}</span>
+                <div class="participant-actions">
+                    <button class="btn btn-primary" data-lobby-action="admit" data-socket-id="${socketId}">Admit</button>
+                    <button class="btn btn-danger" data-lobby-action="deny" data-socket-id="${socketId}">Deny</button>
+                </div>
+            `;
+            lobbyList.appendChild(lobbyItem);
+        });
+    }
+
+    respondToWhisper(socketId, accept) {
+        this.socket.emit('whisper-respond', { from: socketId, accept });
+        this.whisperInvites.delete(socketId);
+        this.updateWhisperInvites();
+    }
+
+    updateWhisperInvites() {
+        const invitesSection = document.getElementById('whisper-invites-section');
+        const invitesList = document.getElementById('whisper-invites-list');
+        
+        if (this.whisperInvites.size === 0) {
+            invitesSection.classList.add('hidden');
+            return;
+        }
+        
+        invitesSection.classList.remove('hidden');
+        
+        invitesList.innerHTML = '';
+        this.whisperInvites.forEach((username, socketId) => {
+            const inviteItem = document.createElement('div');
+            inviteItem.className = 'participant-item';
+            inviteItem.innerHTML = `
+                <span class="participant-name">${this.escapeHtml(username)}</span>
+                <div class="participant-actions">
+                    <button class="btn btn-primary" data-whisper-action="accept" data-socket-id="${socketId}">Accept</button>
+                    <button class="btn btn-secondary" data-whisper-action="decline" data-socket-id="${socketId}">Decline</button>
+                </div>
+            `;
+            invitesList.appendChild(inviteItem);
+        });
+    }
+
+    // Load the latest page of chat history, or the page before what is shown
+    async loadMessages(earlier = false) {
+        const params = new URLSearchParams({ limit: 50 });
+        if (earlier && this.oldestMessageId) {
+            params.set('before', this.oldestMessageId);
+        }
+        
+        try {
+            const response = await fetch(`/api/rooms/${this.roomId}/messages?${params}`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                return;
+            }
+            
+            const chatMessages = document.getElementById('chat-messages');
+            if (earlier) {
+                // Prepend, keeping the scroll position on the messages already shown
+                const previousHeight = chatMessages.scrollHeight;
+                const fragment = document.createDocumentFragment();
+                data.messages.forEach(message => fragment.appendChild(this.createChatMessageElement(message)));
+                chatMessages.insertBefore(fragment, chatMessages.firstChild);
+                chatMessages.scrollTop += chatMessages.scrollHeight - previousHeight;
+            } else {
+                chatMessages.innerHTML = '';
+                data.messages.forEach(message => chatMessages.appendChild(this.createChatMessageElement(message)));
+                chatMessages.scrollTop = chatMessages.scrollHeight;
+            }
+            
+            if (data.messages.length > 0) {
+                this.oldestMessageId = data.messages[0].id;
+            } else if (!earlier) {
+                this.oldestMessageId = null;
+            }
+            document.getElementById('chat-load-more').classList.toggle('hidden', !data.hasMore);
+        } catch (error) {
+            console.error('Error loading messages:', error);
+        }
+    }
+
+    sendChatMessage() {
+        const input = document.getElementById('chat-input');
+        const text = input.value.trim();
+        
+        if (!text) return;
+        
+        this.socket.emit('chat-message', {
+            text,
+            scope: document.getElementById('chat-scope').value
+        });
+        input.value = '';
+    }
+
+    appendChatMessage(message) {
+        const chatMessages = document.getElementById('chat-messages');
+        
+        // Only follow new messages if the reader is already at the bottom
+        const atBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 20;
+        chatMessages.appendChild(this.createChatMessageElement(message));
+        
+        if (atBottom) {
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+        
+        if (!this.oldestMessageId) {
+            this.oldestMessageId = message.id;
+        }
+    }
+
+    createChatMessageElement(message) {
+        const element = document.createElement('div');
+        element.className = `chat-message ${message.scope}`;
+        
+        const author = document.createElement('span');
+        author.className = 'chat-author';
+        author.textContent = message.userId === this.currentUser.id ? 'You' : message.username;
+        
+        const meta = document.createElement('span');
+        meta.className = 'chat-meta';
+        const time = new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        meta.textContent = message.scope === 'nearby' ? `${time} · nearby` : time;
+        
+        const text = document.createElement('div');
+        this.appendLinkifiedText(text, message.text);
+        
+        element.append(author, meta, text);
+        return element;
+    }
+
+    // Message text is user input: build it from text nodes, turning URLs into links
+    appendLinkifiedText(container, text) {
+        text.split(/(https?:\/\/[^\s]+)/g).forEach((part, index) => {
+            if (index % 2 === 1) {
+                const link = document.createElement('a');
+                link.href = part;
+                link.textContent = part;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                container.appendChild(link);
+            } else if (part) {
+                container.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
     updateConnectionStatus(status, type) {
         const statusText = document.getElementById('status-text');
         statusText.textContent = status;
         statusText.className = type;
     }
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     showMessage(text, type = 'info') {
         const messageElement = document.getElementById('message');
         messageElement.textContent = text;
@@ -452,9 +2325,13 @@ class RoomManager {
 
     async leaveRoom() {
         try {
+            await this.stopRecording();
             await fetch(`/api/rooms/${this.roomId}/leave`, { method: 'POST' });
+            sessionStorage.removeItem(this.getResumeTokenKey());
             
             // Cleanup
+            this.movement.stop();
+            clearInterval(this.meterTimer);
             this.webrtcManager.disconnect();
             this.spatialAudioManager.dispose();
             this.socket.disconnect();
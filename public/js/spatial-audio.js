@@ -7,6 +7,65 @@ class SpatialAudioManager {
         this.isEnabled = true;
         this.masterGainNode = null;
         this.initialized = false;
+        
+        // Everyone else is turned down while a stage speaker is talking
+        this.duckLevel = 0.3;
+        this.duckThreshold = 0.02; // RMS level that counts as speech
+        this.duckHoldMs = 600; // stay ducked through short pauses
+        this.ducked = false;
+        this.duckTimer = null;
+        this.lastStageSpeechAt = 0;
+        
+        // Voice activity detection on every source, for speaking indicators;
+        // overrides for VoiceActivityDetector's thresholds and hangover
+        this.vadOptions = {};
+        this.vadIntervalMs = 50;
+        this.vadTimer = null;
+        this.onSpeakingChangeCallback = null;
+        
+        // Low-pass cutoff and extra attenuation by number of walls in the way
+        this.occlusionLevels = [
+            { cutoff: 20000, gain: 1 },
+            { cutoff: 1200, gain: 0.5 },
+            { cutoff: 600, gain: 0.3 },
+            { cutoff: 350, gain: 0.2 }
+        ];
+        this.occlusionRampTime = 0.15; // seconds (time constant)
+        
+        // Room acoustics: impulse responses are generated from a rough room
+        // size (metres) and how much the surfaces absorb (damping, 0-1);
+        // `wet` is the reverb send for a distant source
+        this.acousticPresets = {
+            'small-office': { size: 5, damping: 0.6, wet: 0.25 },
+            'conference-hall': { size: 40, damping: 0.3, wet: 0.45 },
+            'cafe': { size: 15, damping: 0.5, wet: 0.35 },
+            'outdoors': { size: 2, damping: 0.9, wet: 0.05 }
+        };
+        this.acousticPreset = this.acousticPresets['small-office'];
+        this.convolver = null;
+        this.listenerPosition = { x: 0, y: 0, z: 0 };
+        
+        // Positions and gains glide to new values instead of jumping, which
+        // would click. Positions arrive about 15 times a second.
+        this.positionRampTime = 1 / 15;
+        this.gainRampTime = 0.05;
+        
+        this.outputDeviceId = ''; // speakers the mix plays on; '' is the system default
+        
+        // Distance attenuation is left entirely to the panners; the room's
+        // profile replaces these defaults. Beyond `cutoffRadius` (if set) a
+        // source is silent. The cone settings make voices quieter behind
+        // the way a speaker faces.
+        this.falloff = {
+            distanceModel: 'inverse',
+            refDistance: 1.5,
+            maxDistance: 20,
+            rolloffFactor: 1,
+            cutoffRadius: null,
+            coneInnerAngle: 90,
+            coneOuterAngle: 270,
+            coneOuterGain: 0.5
+        };
     }
 
     async initialize() {
@@ -18,6 +77,11 @@ class SpatialAudioManager {
             this.masterGainNode = this.audioContext.createGain();
             this.masterGainNode.connect(this.audioContext.destination);
             
+            // Shared reverb bus; every source sends into it
+            this.convolver = this.audioContext.createConvolver();
+            this.convolver.buffer = this.createImpulseResponse(this.acousticPreset);
+            this.convolver.connect(this.masterGainNode);
+            
             // Get the listener (represents the user's ears)
             this.listener = this.audioContext.listener;
             
@@ -67,31 +131,58 @@ class SpatialAudioManager {
             
             // Configure panner properties
             panner.panningModel = 'HRTF';
-            panner.distanceModel = 'inverse';
-            panner.refDistance = 1;
-            panner.maxDistance = 10000;
-            panner.rolloffFactor = 1;
-            panner.coneInnerAngle = 360;
-            panner.coneOuterAngle = 0;
-            panner.coneOuterGain = 0;
+            this.applyFalloff(panner);
+
+            // Muffle and attenuate voices from behind walls
+            const occlusionFilter = this.audioContext.createBiquadFilter();
+            occlusionFilter.type = 'lowpass';
+            occlusionFilter.frequency.value = this.occlusionLevels[0].cutoff;
+            const occlusionGain = this.audioContext.createGain();
 
             // Create gain node for individual volume control
             const gainNode = this.audioContext.createGain();
-            gainNode.gain.value = 0.5; // Default volume
+            
+            // Reverb send, set from the distance to the listener
+            const reverbSend = this.audioContext.createGain();
+            reverbSend.gain.value = 0;
 
-            // Connect the audio graph: source -> panner -> gain -> master -> destination
+            // Connect the audio graph:
+            // source -> panner -> occlusion filter -> occlusion gain -> gain -> master -> destination
             source.connect(panner);
-            panner.connect(gainNode);
+            panner.connect(occlusionFilter);
+            occlusionFilter.connect(occlusionGain);
+            occlusionGain.connect(gainNode);
             gainNode.connect(this.masterGainNode);
+            gainNode.connect(reverbSend);
+            reverbSend.connect(this.convolver);
+            
+            // Watch the voice before any distance or gain is applied
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = 512;
+            source.connect(analyser);
 
             // Store the audio source data
             this.audioSources.set(peerId, {
                 source,
                 panner,
+                occlusionFilter,
+                occlusionGain,
                 gainNode,
+                reverbSend,
                 audioElement,
-                position: { x: 0, y: 0, z: 0 }
+                position: { x: 0, y: 0, z: 0 },
+                distance: 0, // from the listener
+                outOfRange: false, // beyond the cutoff radius
+                direct: false, // routed around the panner at full volume
+                silenced: false,
+                volume: 1, // the listener's own setting for this person
+                stage: false, // a stage speaker; ducks the other sources while talking
+                analyser,
+                vad: new VoiceActivityDetector(analyser, this.vadOptions),
+                speaking: false,
+                wallCount: 0 // walls between the source and the listener
             });
+            this.updateVoiceActivityMonitor();
 
             console.log('Added spatial audio source for peer:', peerId);
             return true;
@@ -107,12 +198,23 @@ class SpatialAudioManager {
             try {
                 sourceData.source.disconnect();
                 sourceData.panner.disconnect();
+                sourceData.occlusionFilter.disconnect();
+                sourceData.occlusionGain.disconnect();
                 sourceData.gainNode.disconnect();
+                sourceData.reverbSend.disconnect();
+                sourceData.analyser.disconnect();
             } catch (error) {
                 console.error('Error disconnecting audio source:', error);
             }
             
             this.audioSources.delete(peerId);
+            if (sourceData.stage) {
+                this.updateDuckingMonitor();
+            }
+            if (sourceData.speaking && this.onSpeakingChangeCallback) {
+                this.onSpeakingChangeCallback(peerId, false);
+            }
+            this.updateVoiceActivityMonitor();
             console.log('Removed spatial audio source for peer:', peerId);
         }
     }
@@ -121,36 +223,268 @@ class SpatialAudioManager {
         const sourceData = this.audioSources.get(peerId);
         if (sourceData && this.isEnabled) {
             const { x, y, z } = position;
+            const heading = position.heading || 0;
+            const [forwardX, forwardZ] = [Math.sin(heading), -Math.cos(heading)];
             
-            // Update position in the panner
+            // Update position and facing direction in the panner
             if (sourceData.panner.positionX) {
                 // Modern API
-                sourceData.panner.positionX.value = x;
-                sourceData.panner.positionY.value = y;
-                sourceData.panner.positionZ.value = z;
+                const panner = sourceData.panner;
+                this.rampParam(panner.positionX, x, this.positionRampTime);
+                this.rampParam(panner.positionY, y, this.positionRampTime);
+                this.rampParam(panner.positionZ, z, this.positionRampTime);
+                this.rampParam(panner.orientationX, forwardX, this.positionRampTime);
+                this.rampParam(panner.orientationY, 0, this.positionRampTime);
+                this.rampParam(panner.orientationZ, forwardZ, this.positionRampTime);
             } else if (sourceData.panner.setPosition) {
                 // Legacy API
                 sourceData.panner.setPosition(x, y, z);
+                sourceData.panner.setOrientation(forwardX, 0, forwardZ);
             }
             
-            sourceData.position = { x, y, z };
-            
-            // Calculate distance for volume adjustment
-            const distance = Math.sqrt(x * x + y * y + z * z);
-            const volumeMultiplier = Math.max(0.1, Math.min(1, 1 / (1 + distance * 0.1)));
+            sourceData.position = { x, y, z, heading };
+            this.updateSourceDistance(sourceData);
+        }
+    }
+
+    // Re-evaluate what depends on the distance between a source and the
+    // listener; the panner handles the attenuation itself
+    updateSourceDistance(sourceData) {
+        const { x, y, z } = sourceData.position;
+        const listener = this.listenerPosition;
+        sourceData.distance = Math.hypot(x - listener.x, y - listener.y, z - listener.z);
+        sourceData.outOfRange = this.falloff.cutoffRadius !== null && sourceData.distance > this.falloff.cutoffRadius;
+        
+        this.applySourceGain(sourceData);
+        this.updateReverbSend(sourceData);
+    }
+
+    applyFalloff(panner) {
+        panner.distanceModel = this.falloff.distanceModel;
+        panner.refDistance = this.falloff.refDistance;
+        panner.maxDistance = this.falloff.maxDistance;
+        panner.rolloffFactor = this.falloff.rolloffFactor;
+        panner.coneInnerAngle = this.falloff.coneInnerAngle;
+        panner.coneOuterAngle = this.falloff.coneOuterAngle;
+        panner.coneOuterGain = this.falloff.coneOuterGain;
+    }
+
+    setFalloff(falloff) {
+        this.falloff = { ...this.falloff, ...falloff };
+        
+        this.audioSources.forEach((sourceData) => {
+            this.applyFalloff(sourceData.panner);
+            this.updateSourceDistance(sourceData);
+        });
+    }
+
+    // Farther sources sound wetter; direct sources (whisper, stage) stay dry
+    updateReverbSend(sourceData) {
+        let send = 0;
+        if (!sourceData.direct) {
+            send = this.acousticPreset.wet * Math.min(1, 0.25 + sourceData.distance / 10);
+        }
+        
+        sourceData.reverbSend.gain.setTargetAtTime(send, this.audioContext.currentTime, 0.1);
+    }
+
+    setAcousticPreset(name) {
+        this.acousticPreset = this.acousticPresets[name] || this.acousticPresets['small-office'];
+        
+        if (this.convolver) {
+            this.convolver.buffer = this.createImpulseResponse(this.acousticPreset);
+            this.audioSources.forEach((sourceData) => this.updateReverbSend(sourceData));
+        }
+    }
+
+    // Decaying stereo noise: the pre-delay follows the room size, the decay
+    // time grows with size and shrinks with damping, and damped rooms lose
+    // their highs faster as the tail goes on
+    createImpulseResponse({ size, damping }) {
+        const sampleRate = this.audioContext.sampleRate;
+        const preDelay = size / 343; // seconds for sound to cross the room
+        const decay = 0.2 + 0.05 * size * (1 - damping);
+        const length = Math.ceil((preDelay + decay) * sampleRate);
+        const preDelaySamples = Math.floor(preDelay * sampleRate);
+        const buffer = this.audioContext.createBuffer(2, length, sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let filtered = 0;
             
-            sourceData.gainNode.gain.value = 0.5 * volumeMultiplier;
+            for (let i = preDelaySamples; i < length; i++) {
+                const t = (i - preDelaySamples) / sampleRate;
+                const envelope = Math.exp(-6.9 * t / decay); // -60 dB at `decay`
+                const smoothing = Math.min(0.95, damping * (0.3 + t / decay));
+                filtered = filtered * smoothing + (Math.random() * 2 - 1) * (1 - smoothing);
+                data[i] = filtered * envelope;
+            }
         }
+        
+        return buffer;
+    }
+
+    // Direct sources (whisper, stage) are heard at any distance. The
+    // listener's volume for the person scales whatever is left.
+    applySourceGain(sourceData) {
+        let gain = sourceData.volume;
+        if (sourceData.silenced || (sourceData.outOfRange && !sourceData.direct)) {
+            gain = 0;
+        }
+        
+        if (this.ducked && !sourceData.stage) {
+            gain *= this.duckLevel;
+        }
+        
+        this.rampParam(sourceData.gainNode.gain, gain, this.gainRampTime);
+    }
+
+    // Linear ramp from wherever the param is now, replacing any ramp in progress
+    rampParam(param, value, rampTime) {
+        const now = this.audioContext.currentTime;
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(now);
+        } else {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+        }
+        param.linearRampToValueAtTime(value, now + rampTime);
+    }
+
+    // Ramp a source's occlusion towards the level for the number of walls
+    // between it and the listener. Direct sources bypass these nodes.
+    setSourceOcclusion(peerId, wallCount) {
+        const sourceData = this.audioSources.get(peerId);
+        if (!sourceData || sourceData.wallCount === wallCount) return;
+        
+        sourceData.wallCount = wallCount;
+        const level = this.occlusionLevels[Math.min(wallCount, this.occlusionLevels.length - 1)];
+        const now = this.audioContext.currentTime;
+        sourceData.occlusionFilter.frequency.setTargetAtTime(level.cutoff, now, this.occlusionRampTime);
+        sourceData.occlusionGain.gain.setTargetAtTime(level.gain, now, this.occlusionRampTime);
+    }
+
+    // Play a source without spatial processing at full volume, or put it back
+    setSourceDirect(peerId, direct) {
+        const sourceData = this.audioSources.get(peerId);
+        if (!sourceData || sourceData.direct === direct) return;
+        
+        // Only swap this output; the voice activity analyser stays connected
+        sourceData.source.disconnect(direct ? sourceData.panner : sourceData.gainNode);
+        sourceData.source.connect(direct ? sourceData.gainNode : sourceData.panner);
+        sourceData.direct = direct;
+        this.applySourceGain(sourceData);
+        this.updateReverbSend(sourceData);
+    }
+
+    // Mark a source as a stage speaker. Its level is watched so the other
+    // sources can be ducked whenever it is talking.
+    setSourceStage(peerId, stage) {
+        const sourceData = this.audioSources.get(peerId);
+        if (!sourceData || sourceData.stage === stage) return;
+        
+        sourceData.stage = stage;
+        this.applySourceGain(sourceData);
+        this.updateDuckingMonitor();
+    }
+
+    updateDuckingMonitor() {
+        const hasStage = Array.from(this.audioSources.values()).some((sourceData) => sourceData.stage);
+        
+        if (hasStage && !this.duckTimer) {
+            this.duckTimer = setInterval(() => this.checkStageSpeech(), 100);
+        } else if (!hasStage && this.duckTimer) {
+            clearInterval(this.duckTimer);
+            this.duckTimer = null;
+            this.setDucked(false);
+        }
+    }
+
+    checkStageSpeech() {
+        const now = Date.now();
+        
+        this.audioSources.forEach((sourceData) => {
+            if (sourceData.stage && !sourceData.silenced && sourceData.vad.getLevel() > this.duckThreshold) {
+                this.lastStageSpeechAt = now;
+            }
+        });
+        
+        this.setDucked(now - this.lastStageSpeechAt < this.duckHoldMs);
+    }
+
+    setDucked(ducked) {
+        if (this.ducked === ducked) return;
+        
+        this.ducked = ducked;
+        this.audioSources.forEach((sourceData) => this.applySourceGain(sourceData));
+    }
+
+    setSourceSilenced(peerId, silenced) {
+        const sourceData = this.audioSources.get(peerId);
+        if (sourceData) {
+            sourceData.silenced = silenced;
+            this.applySourceGain(sourceData);
+        }
+    }
+
+    // Sample every source while there are any
+    updateVoiceActivityMonitor() {
+        if (this.audioSources.size > 0 && !this.vadTimer) {
+            this.vadTimer = setInterval(() => this.checkVoiceActivity(), this.vadIntervalMs);
+        } else if (this.audioSources.size === 0 && this.vadTimer) {
+            clearInterval(this.vadTimer);
+            this.vadTimer = null;
+        }
+    }
+
+    // Someone we can't hear (e.g. whispering with someone else) is never
+    // shown as speaking
+    checkVoiceActivity() {
+        const now = Date.now();
+        
+        this.audioSources.forEach((sourceData, peerId) => {
+            sourceData.vad.update(now);
+            const speaking = sourceData.vad.speaking && !sourceData.silenced;
+            if (speaking !== sourceData.speaking) {
+                sourceData.speaking = speaking;
+                if (this.onSpeakingChangeCallback) {
+                    this.onSpeakingChangeCallback(peerId, speaking);
+                }
+            }
+        });
+    }
+
+    setVoiceActivityOptions(options) {
+        this.vadOptions = { ...this.vadOptions, ...options };
+        this.audioSources.forEach((sourceData) => Object.assign(sourceData.vad, options));
+    }
+
+    // Latest RMS level of a source's voice, before any gain; 0 if we have no audio
+    getSourceLevel(peerId) {
+        const sourceData = this.audioSources.get(peerId);
+        return sourceData ? sourceData.vad.level : 0;
+    }
+
+    isSourceSpeaking(peerId) {
+        const sourceData = this.audioSources.get(peerId);
+        return !!sourceData && sourceData.speaking;
+    }
+
+    onSpeakingChange(callback) {
+        this.onSpeakingChangeCallback = callback;
     }
 
     setListenerPosition(x, y, z) {
         if (!this.listener) return;
         
+        this.listenerPosition = { x, y, z };
+        this.audioSources.forEach((sourceData) => this.updateSourceDistance(sourceData));
+        
         if (this.listener.positionX) {
             // Modern API
-            this.listener.positionX.value = x;
-            this.listener.positionY.value = y;
-            this.listener.positionZ.value = z;
+            this.rampParam(this.listener.positionX, x, this.positionRampTime);
+            this.rampParam(this.listener.positionY, y, this.positionRampTime);
+            this.rampParam(this.listener.positionZ, z, this.positionRampTime);
         } else if (this.listener.setPosition) {
             // Legacy API
             this.listener.setPosition(x, y, z);
@@ -162,28 +496,48 @@ class SpatialAudioManager {
         
         if (this.listener.forwardX) {
             // Modern API
-            this.listener.forwardX.value = forwardX;
-            this.listener.forwardY.value = forwardY;
-            this.listener.forwardZ.value = forwardZ;
-            this.listener.upX.value = upX;
-            this.listener.upY.value = upY;
-            this.listener.upZ.value = upZ;
+            this.rampParam(this.listener.forwardX, forwardX, this.positionRampTime);
+            this.rampParam(this.listener.forwardY, forwardY, this.positionRampTime);
+            this.rampParam(this.listener.forwardZ, forwardZ, this.positionRampTime);
+            this.rampParam(this.listener.upX, upX, this.positionRampTime);
+            this.rampParam(this.listener.upY, upY, this.positionRampTime);
+            this.rampParam(this.listener.upZ, upZ, this.positionRampTime);
         } else if (this.listener.setOrientation) {
             // Legacy API
             this.listener.setOrientation(forwardX, forwardY, forwardZ, upX, upY, upZ);
         }
     }
 
+    // Headings are in radians clockwise from -z (up on the canvas)
+    setListenerHeading(heading) {
+        this.setListenerOrientation(Math.sin(heading), 0, -Math.cos(heading), 0, 1, 0);
+    }
+
+    canSelectOutput() {
+        return !!this.audioContext && typeof this.audioContext.setSinkId === 'function';
+    }
+
+    // Play the spatial mix on the chosen speakers
+    async setOutputDevice(deviceId) {
+        if (!this.canSelectOutput()) {
+            throw new Error('This browser cannot choose a speaker');
+        }
+        
+        await this.audioContext.setSinkId(deviceId);
+        this.outputDeviceId = deviceId;
+    }
+
     setMasterVolume(volume) {
         if (this.masterGainNode) {
-            this.masterGainNode.gain.value = volume;
+            this.rampParam(this.masterGainNode.gain, volume, this.gainRampTime);
         }
     }
 
     setSourceVolume(peerId, volume) {
         const sourceData = this.audioSources.get(peerId);
-        if (sourceData) {
-            sourceData.gainNode.gain.value = volume;
+        if (sourceData && sourceData.volume !== volume) {
+            sourceData.volume = volume;
+            this.applySourceGain(sourceData);
         }
     }
 
@@ -245,6 +599,11 @@ class SpatialAudioManager {
 
     // Cleanup
     dispose() {
+        clearInterval(this.duckTimer);
+        this.duckTimer = null;
+        clearInterval(this.vadTimer);
+        this.vadTimer = null;
+        
         this.audioSources.forEach((sourceData, peerId) => {
             this.removeAudioSource(peerId);
         });
@@ -0,0 +1,48 @@
+// Voice activity detection on an AnalyserNode. Speech starts when the RMS
+// level rises above `startThreshold` and ends once it has stayed below
+// `stopThreshold` for `hangoverMs`, so short pauses between words don't
+// make the indicator flicker.
+class VoiceActivityDetector {
+    constructor(analyser, { startThreshold = 0.02, stopThreshold = 0.012, hangoverMs = 400 } = {}) {
+        this.analyser = analyser;
+        this.startThreshold = startThreshold;
+        this.stopThreshold = stopThreshold;
+        this.hangoverMs = hangoverMs;
+        this.samples = new Float32Array(analyser.fftSize);
+        this.speaking = false;
+        this.level = 0;
+        this.lastVoiceAt = 0;
+    }
+
+    getLevel() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let sum = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            sum += this.samples[i] * this.samples[i];
+        }
+        return Math.sqrt(sum / this.samples.length);
+    }
+
+    // Sample the analyser; returns true when the speaking state changed
+    update(now = Date.now()) {
+        this.level = this.getLevel();
+        const threshold = this.speaking ? this.stopThreshold : this.startThreshold;
+        if (this.level > threshold) {
+            this.lastVoiceAt = now;
+        }
+
+        const speaking = this.level > threshold || (this.speaking && now - this.lastVoiceAt < this.hangoverMs);
+        if (speaking === this.speaking) {
+            return false;
+        }
+
+        this.speaking = speaking;
+        return true;
+    }
+
+    reset() {
+        this.speaking = false;
+        this.lastVoiceAt = 0;
+    }
+}
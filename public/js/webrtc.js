@@ -3,6 +3,19 @@ class WebRTCManager {
     constructor() {
         this.localStream = null;
         this.peerConnections = new Map();
+        this.mediaMode = 'mesh';
+        this.sfuConnection = null;
+        this.sfuTrackOwners = {}; // transceiver mid -> participant socket id
+        this.forceMuted = false; // set by a moderator; only they can lift it
+        
+        // Microphone choice and processing; null means the default device
+        this.audioSettings = {
+            deviceId: null,
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        };
+        this.vadContext = null; // audio context the microphone is analysed in
         this.configuration = {
             iceServers: [
                 { urls: 'stun:stun.l.google.com:19302' },
@@ -16,6 +29,18 @@ class WebRTCManager {
         this.onRemoteStreamCallback = null;
         this.onUserJoinedCallback = null;
         this.onUserLeftCallback = null;
+        this.onUserResumedCallback = null;
+        this.onPeerClosedCallback = null;
+        
+        // Voice activity on our own microphone, shared with the room over
+        // the socket; overrides for VoiceActivityDetector's settings
+        this.vadOptions = {};
+        this.vadIntervalMs = 50;
+        this.vadTimer = null;
+        this.localVad = null;
+        this.localVadSource = null;
+        this.localSpeaking = false;
+        this.onLocalSpeakingChangeCallback = null;
     }
 
     async initialize(socket, roomId, userId, username) {
@@ -25,16 +50,7 @@ class WebRTCManager {
         this.username = username;
 
         try {
-            // Get user media (audio only for now, can be extended to video)
-            this.localStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: 48000
-                },
-                video: false
-            });
+            this.localStream = await this.getLocalStream();
 
             console.log('Local stream obtained');
             this.setupSocketListeners();
@@ -45,6 +61,82 @@ class WebRTCManager {
         }
     }
 
+    // Get the microphone with the current settings (audio only for now, can
+    // be extended to video). A saved device that is gone falls back to the default.
+    async getLocalStream() {
+        const { deviceId, echoCancellation, noiseSuppression, autoGainControl } = this.audioSettings;
+        const audio = { echoCancellation, noiseSuppression, autoGainControl, sampleRate: 48000 };
+        if (deviceId) {
+            audio.deviceId = { exact: deviceId };
+        }
+        
+        try {
+            return await navigator.mediaDevices.getUserMedia({ audio, video: false });
+        } catch (error) {
+            if (!deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+                throw error;
+            }
+            
+            console.warn('Saved microphone not available, using the default');
+            this.audioSettings.deviceId = null;
+            return this.getLocalStream();
+        }
+    }
+
+    // Switch microphone or processing mid-call. The new track replaces the
+    // old one on every connection, so nothing is renegotiated.
+    async updateAudioSettings(changes) {
+        const previousSettings = this.audioSettings;
+        this.audioSettings = { ...this.audioSettings, ...changes };
+        
+        let stream;
+        try {
+            stream = await this.getLocalStream();
+        } catch (error) {
+            this.audioSettings = previousSettings;
+            throw error;
+        }
+        
+        const oldTrack = this.localStream && this.localStream.getAudioTracks()[0];
+        const newTrack = stream.getAudioTracks()[0];
+        
+        // Keep our mute state
+        newTrack.enabled = oldTrack ? oldTrack.enabled : true;
+        
+        const connections = Array.from(this.peerConnections.values());
+        if (this.sfuConnection) {
+            connections.push(this.sfuConnection);
+        }
+        
+        await Promise.all(connections.map(connection => Promise.all(
+            connection.getSenders()
+                .filter(sender => sender.track && sender.track === oldTrack)
+                .map(sender => sender.replaceTrack(newTrack))
+        )));
+        
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => track.stop());
+        }
+        this.localStream = stream;
+        
+        // The speaking detector listens to the new microphone too
+        if (this.vadContext) {
+            const audioContext = this.vadContext;
+            this.stopVoiceActivity();
+            this.startVoiceActivity(audioContext);
+        }
+        
+        return this.audioSettings;
+    }
+
+    async listDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return {
+            inputs: devices.filter(device => device.kind === 'audioinput'),
+            outputs: devices.filter(device => device.kind === 'audiooutput')
+        };
+    }
+
     setupSocketListeners() {
         // Handle offers from other peers
         this.socket.on('offer', async (data) => {
@@ -64,18 +156,45 @@ class WebRTCManager {
             await this.handleIceCandidate(candidate, sender);
         });
 
+        // Handle signaling messages rejected by the server
+        this.socket.on('signaling-error', (data) => {
+            const { code, type, target } = data;
+            console.warn(`Signaling ${type} to ${target} rejected:`, code);
+            
+            // The target is no longer in our room, so drop the stale connection
+            if (code === 'TARGET_NOT_IN_ROOM' && target) {
+                this.removePeerConnection(target);
+            }
+        });
+
+        // Rooms can switch between a peer-to-peer mesh and the server SFU
+        this.socket.on('media-mode', (data) => {
+            this.setMediaMode(data.mediaMode);
+        });
+
+        this.socket.on('sfu-offer', async (data) => {
+            await this.handleSfuOffer(data);
+        });
+
+        this.socket.on('sfu-ice-candidate', async (data) => {
+            if (this.sfuConnection && data.candidate) {
+                try {
+                    await this.sfuConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
+                } catch (error) {
+                    console.error('Error handling SFU ICE candidate:', error);
+                }
+            }
+        });
+
         // Handle new users joining
         this.socket.on('user-joined', async (data) => {
             const { socketId, userId, username, position } = data;
             console.log('User joined:', username);
             
+            // Peer connections are opened from neighbours-update once in range
             if (this.onUserJoinedCallback) {
                 this.onUserJoinedCallback(data);
             }
-            
-            // Create peer connection and send offer
-            await this.createPeerConnection(socketId);
-            await this.sendOffer(socketId);
         });
 
         // Handle existing users when joining
@@ -86,9 +205,37 @@ class WebRTCManager {
                 if (this.onUserJoinedCallback) {
                     this.onUserJoinedCallback(user);
                 }
+            }
+        });
+
+        // Connect to participants entering our hearing radius, drop those leaving it
+        this.socket.on('neighbours-update', async (data) => {
+            const { added, removed } = data;
+            
+            removed.forEach(peerId => this.removePeerConnection(peerId));
+            
+            for (const peerId of added) {
+                if (this.peerConnections.has(peerId)) continue;
                 
-                // Create peer connection for each existing user
-                await this.createPeerConnection(user.socketId);
+                await this.createPeerConnection(peerId);
+                
+                // Both sides learn of the pair at once; the lower id makes the offer
+                if (this.socket.id < peerId) {
+                    await this.sendOffer(peerId);
+                }
+            }
+        });
+
+        // Handle a participant coming back on a new socket after a dropped connection
+        this.socket.on('user-resumed', async (data) => {
+            const { previousSocketId, socketId, username } = data;
+            console.log('User resumed:', username);
+            
+            this.removePeerConnection(previousSocketId);
+            
+            // A fresh neighbours-update reconnects us if they are still in range
+            if (this.onUserResumedCallback) {
+                this.onUserResumedCallback(data);
             }
         });
 
@@ -147,6 +294,98 @@ class WebRTCManager {
         }
     }
 
+    setMediaMode(mode) {
+        if (mode === this.mediaMode) return;
+        
+        console.log('Switching media mode to', mode);
+        this.mediaMode = mode;
+        
+        // Tear down the old topology; the server drives building the new one
+        if (mode === 'sfu') {
+            this.peerConnections.forEach((peerConnection, peerId) => {
+                this.removePeerConnection(peerId);
+            });
+        } else {
+            this.closeSfuConnection();
+        }
+    }
+
+    createSfuConnection() {
+        const connection = new RTCPeerConnection(this.configuration);
+        
+        // Every forwarded track arrives on its own transceiver; the server
+        // tells us which participant each transceiver carries
+        connection.ontrack = (event) => {
+            const peerId = this.sfuTrackOwners[event.transceiver.mid];
+            if (peerId && this.onRemoteStreamCallback) {
+                console.log('Received forwarded stream from:', peerId);
+                this.onRemoteStreamCallback(peerId, new MediaStream([event.track]));
+            }
+        };
+        
+        connection.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.socket.emit('sfu-ice-candidate', { candidate: event.candidate });
+            }
+        };
+        
+        connection.onconnectionstatechange = () => {
+            console.log('SFU connection state:', connection.connectionState);
+        };
+        
+        return connection;
+    }
+
+    async handleSfuOffer(data) {
+        const { offer, publishMid, tracks } = data;
+        
+        try {
+            if (!this.sfuConnection) {
+                this.sfuConnection = this.createSfuConnection();
+            }
+            
+            // Must be in place before the offer is applied so ontrack can look owners up
+            const previousOwners = this.sfuTrackOwners;
+            this.sfuTrackOwners = tracks;
+            
+            await this.sfuConnection.setRemoteDescription(new RTCSessionDescription(offer));
+            
+            // Publish our microphone on the transceiver the server reserved for it
+            const publishTransceiver = this.sfuConnection.getTransceivers()
+                .find(transceiver => transceiver.mid === publishMid);
+            if (publishTransceiver && !publishTransceiver.sender.track) {
+                await publishTransceiver.sender.replaceTrack(this.localStream.getAudioTracks()[0]);
+                publishTransceiver.direction = 'sendonly';
+            }
+            
+            const answer = await this.sfuConnection.createAnswer();
+            await this.sfuConnection.setLocalDescription(answer);
+            
+            this.socket.emit('sfu-answer', { answer });
+            
+            // Tracks missing from this offer belong to participants no longer forwarded
+            Object.keys(previousOwners).forEach(mid => {
+                if (tracks[mid] !== previousOwners[mid]) {
+                    this.removePeerConnection(previousOwners[mid]);
+                }
+            });
+        } catch (error) {
+            console.error('Error handling SFU offer:', error);
+        }
+    }
+
+    closeSfuConnection() {
+        if (!this.sfuConnection) return;
+        
+        this.sfuConnection.close();
+        this.sfuConnection = null;
+        
+        Object.values(this.sfuTrackOwners).forEach(peerId => {
+            this.removePeerConnection(peerId);
+        });
+        this.sfuTrackOwners = {};
+    }
+
     async sendOffer(peerId) {
         try {
             const peerConnection = this.peerConnections.get(peerId);
@@ -219,17 +458,93 @@ class WebRTCManager {
         if (audioElement) {
             audioElement.remove();
         }
+        
+        if (this.onPeerClosedCallback) {
+            this.onPeerClosedCallback(peerId);
+        }
     }
 
-    toggleMute() {
-        if (this.localStream) {
-            const audioTrack = this.localStream.getAudioTracks()[0];
-            if (audioTrack) {
-                audioTrack.enabled = !audioTrack.enabled;
-                return !audioTrack.enabled; // Return true if muted
-            }
+    // Close every peer connection but keep the local stream for rebuilding
+    resetPeerConnections() {
+        this.peerConnections.forEach((peerConnection, peerId) => {
+            this.removePeerConnection(peerId);
+        });
+        
+        this.closeSfuConnection();
+    }
+
+    // Returns whether we end up muted
+    setMuted(muted) {
+        const audioTrack = this.localStream && this.localStream.getAudioTracks()[0];
+        if (!audioTrack) {
+            return false;
+        }
+        
+        // Stay muted while a moderator's mute is in place
+        if (this.forceMuted && !audioTrack.enabled) {
+            return true;
+        }
+        
+        audioTrack.enabled = !muted;
+        return muted;
+    }
+
+    setForceMuted(forced) {
+        this.forceMuted = forced;
+        
+        if (forced && this.localStream) {
+            this.localStream.getAudioTracks().forEach(track => {
+                track.enabled = false;
+            });
         }
-        return false;
+    }
+
+    // Analyse the microphone in the given audio context (not connected to
+    // the speakers) and report when we start and stop speaking
+    startVoiceActivity(audioContext) {
+        if (!this.localStream || this.vadTimer) return;
+        
+        this.vadContext = audioContext;
+        this.localVadSource = audioContext.createMediaStreamSource(this.localStream);
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        this.localVadSource.connect(analyser);
+        this.localVad = new VoiceActivityDetector(analyser, this.vadOptions);
+        
+        this.vadTimer = setInterval(() => this.checkLocalVoiceActivity(), this.vadIntervalMs);
+    }
+
+    checkLocalVoiceActivity() {
+        this.localVad.update();
+        
+        // A muted microphone never counts as speaking
+        const audioTrack = this.localStream.getAudioTracks()[0];
+        const speaking = this.localVad.speaking && !!audioTrack && audioTrack.enabled;
+        if (speaking === this.localSpeaking) return;
+        
+        this.localSpeaking = speaking;
+        this.socket.emit('speaking', speaking);
+        if (this.onLocalSpeakingChangeCallback) {
+            this.onLocalSpeakingChangeCallback(speaking);
+        }
+    }
+
+    setVoiceActivityOptions(options) {
+        this.vadOptions = { ...this.vadOptions, ...options };
+        if (this.localVad) {
+            Object.assign(this.localVad, options);
+        }
+    }
+
+    stopVoiceActivity() {
+        clearInterval(this.vadTimer);
+        this.vadTimer = null;
+        if (this.localVadSource) {
+            this.localVadSource.disconnect();
+            this.localVadSource = null;
+        }
+        this.localVad = null;
+        this.vadContext = null;
     }
 
     setVolume(volume) {
@@ -253,8 +568,22 @@ class WebRTCManager {
         this.onUserLeftCallback = callback;
     }
 
+    onUserResumed(callback) {
+        this.onUserResumedCallback = callback;
+    }
+
+    onPeerClosed(callback) {
+        this.onPeerClosedCallback = callback;
+    }
+
+    onLocalSpeakingChange(callback) {
+        this.onLocalSpeakingChangeCallback = callback;
+    }
+
     // Cleanup
     disconnect() {
+        this.stopVoiceActivity();
+        
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => track.stop());
         }
@@ -264,5 +593,6 @@ class WebRTCManager {
         });
 
         this.peerConnections.clear();
+        this.closeSfuConnection();
     }
 }
\ No newline at end of file
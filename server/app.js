@@ -6,6 +6,34 @@ const cors = require('cors');
 const helmet = require('helmet');
 const session = require('express-session');
 const sqlite3 = require('sqlite3').verbose();
+const { v4: uuidv4 } = require('uuid');
+const { createPositionBroadcaster } = require('./position-broadcaster');
+const { updateNeighbours, dropNeighbour } = require('./neighbours');
+const { createSfu } = require('./sfu');
+const { createWhispers } = require('./whispers');
+const { STAGE_AREA } = require('./stage');
+const { parseLayout, crossesWall } = require('./layout');
+const { parseFalloff } = require('./falloff');
+const { CHAT_SCOPES, MAX_MESSAGE_LENGTH, getNearbyRecipients, saveMessage } = require('./chat');
+const { listRecordings, completeUserRecordings } = require('./recordings');
+const { SAMPLE_INTERVAL_MS, logEvent, logJoin, logLeave, logPositions } = require('./sessions');
+const { createRoomStore } = require('./stores');
+const {
+  ROLE_RANKS,
+  getRoomRole,
+  isBanned,
+  canModerate,
+  isRoomFull,
+  userChannel,
+  moderatorsChannel,
+  banUser
+} = require('./moderation');
+const cluster = require('cluster');
+
+// Worker processes started by server/cluster.js share rooms through SQLite;
+// a single process keeps live room state in memory
+const isClusterWorker = cluster.isWorker;
+const roomStoreType = process.env.ROOM_STORE || (isClusterWorker ? 'sqlite' : 'memory');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,13 +56,34 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Socket.IO adapter so broadcasts reach sockets on every worker
+if (isClusterWorker) {
+  const { createAdapter } = require('@socket.io/cluster-adapter');
+  const { setupWorker } = require('@socket.io/sticky');
+  io.adapter(createAdapter());
+  setupWorker(io);
+}
+
 // Session middleware
-app.use(session({
+const sessionOptions = {
   secret: 'spatial-audio-secret-key',
   resave: false,
   saveUninitialized: false,
   cookie: { secure: false } // Set to true in production with HTTPS
-}));
+};
+
+// With a shared room store, requests can land on any process, so sessions must be shared too
+if (roomStoreType === 'sqlite') {
+  const SQLiteStore = require('connect-sqlite3')(session);
+  sessionOptions.store = new SQLiteStore({ db: 'spatial_meet_sessions.db', dir: '.' });
+}
+
+const sessionMiddleware = session(sessionOptions);
+
+app.use(sessionMiddleware);
+
+// Share the session with Socket.IO so sockets are tied to a logged-in user
+io.engine.use(sessionMiddleware);
 
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
@@ -42,6 +91,15 @@ app.use(express.static(path.join(__dirname, '../public')));
 // Initialize database
 const db = new sqlite3.Database('./spatial_meet.db');
 
+// Add a column to an existing table; ignored when the column is already there
+function addColumn(table, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+    if (err && !/duplicate column/.test(err.message)) {
+      console.error(`Error adding column to ${table}:`, err.message);
+    }
+  });
+}
+
 // Create tables if they don't exist
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS users (
@@ -67,14 +125,118 @@ db.serialize(() => {
     FOREIGN KEY (room_id) REFERENCES rooms (id),
     FOREIGN KEY (user_id) REFERENCES users (id)
   )`);
+
+  addColumn('rooms', 'hearing_radius REAL DEFAULT 8');
+  addColumn('rooms', "media_mode TEXT DEFAULT 'mesh'");
+  addColumn('rooms', 'sfu_threshold INTEGER DEFAULT 8');
+  addColumn('rooms', 'max_capacity INTEGER');
+  addColumn('rooms', 'require_admission INTEGER DEFAULT 0');
+  addColumn('rooms', 'layout TEXT');
+  addColumn('rooms', "acoustics TEXT DEFAULT 'small-office'");
+  addColumn('rooms', 'falloff TEXT');
+
+  // Moderators per room; the owner is rooms.creator_id
+  db.run(`CREATE TABLE IF NOT EXISTS room_roles (
+    room_id TEXT,
+    user_id INTEGER,
+    role TEXT NOT NULL,
+    PRIMARY KEY (room_id, user_id),
+    FOREIGN KEY (room_id) REFERENCES rooms (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS room_bans (
+    room_id TEXT,
+    user_id INTEGER,
+    banned_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (room_id, user_id),
+    FOREIGN KEY (room_id) REFERENCES rooms (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  // Chat history; recipient_ids lists the user ids that got a "nearby" message
+  db.run(`CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    text TEXT NOT NULL,
+    recipient_ids TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (room_id) REFERENCES rooms (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_messages_room ON messages (room_id, id)');
+
+  // Per-listener volume and "mute for me" for other users, kept across sessions
+  db.run(`CREATE TABLE IF NOT EXISTS user_audio_settings (
+    user_id INTEGER,
+    target_user_id INTEGER,
+    volume REAL NOT NULL DEFAULT 1,
+    muted INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, target_user_id),
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (target_user_id) REFERENCES users (id)
+  )`);
+
+  // Audio recorded in a participant's browser; the file is under RECORDINGS_DIR
+  db.run(`CREATE TABLE IF NOT EXISTS recordings (
+    id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    user_id INTEGER,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL DEFAULT 0,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    duration_ms INTEGER,
+    status TEXT NOT NULL DEFAULT 'recording',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (room_id) REFERENCES rooms (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_recordings_room ON recordings (room_id, created_at)');
+
+  // Meetings: from the first person entering an empty room until the last
+  // one leaves. Times are milliseconds since the epoch.
+  db.run(`CREATE TABLE IF NOT EXISTS room_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER,
+    sample_interval_ms INTEGER NOT NULL,
+    FOREIGN KEY (room_id) REFERENCES rooms (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_room_sessions_room ON room_sessions (room_id, started_at)');
+
+  // What happened in a session: join, leave, mute, speaking and position
+  // events, with their details as JSON in data
+  db.run(`CREATE TABLE IF NOT EXISTS session_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    user_id INTEGER,
+    type TEXT NOT NULL,
+    data TEXT,
+    at INTEGER NOT NULL,
+    FOREIGN KEY (session_id) REFERENCES room_sessions (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events (session_id, at)');
 });
 
+// Routes use this to notify connected clients, e.g. of role changes
+app.set('io', io);
+
 // Routes
 const authRoutes = require('./routes/auth');
 const roomRoutes = require('./routes/rooms');
+const userRoutes = require('./routes/users');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/rooms', roomRoutes);
+app.use('/api/users', userRoutes);
 
 // Serve main page
 app.get('/', (req, res) => {
@@ -87,139 +249,1178 @@ app.get('/room/:roomId', (req, res) => {
 });
 
 // Socket.io connection handling
-const rooms = new Map(); // Store room data
+// Participants, positions and mute state live in the room store so that
+// several server processes can share rooms. Everything below that holds live
+// objects (sockets, timers, SFU sessions, neighbour sets) is per process.
+const roomStore = createRoomStore(roomStoreType);
+app.set('roomStore', roomStore);
+// The rooms routes call these when a room stops requiring admission and
+// when someone's role changes
+app.set('admitLobby', admitLobby);
+app.set('getLobbyList', getLobbyList);
+app.set('updateRoomLayout', updateRoomLayout);
+const roomSettings = new Map(); // Per-room settings loaded from the rooms table
+const roomMediaModes = new Map(); // Whether each live room currently runs as 'mesh' or 'sfu'
+const neighbourSets = new Map(); // Local socket id -> Set of peers within hearing range
+const graceTimers = new Map(); // Local socket id -> timer removing a dropped user
+
+const DEFAULT_HEARING_RADIUS = 8;
+const DEFAULT_SFU_THRESHOLD = 8;
+
+// Server-side forwarding for rooms too large for a peer-to-peer mesh
+const sfu = createSfu();
+
+// Positions are batched per room and sent out on a fixed tick
+const positionBroadcaster = createPositionBroadcaster(io, {
+  tickRate: parseInt(process.env.POSITION_TICK_RATE, 10) || 15,
+  maxUpdatesPerSecond: parseInt(process.env.POSITION_MAX_UPDATES_PER_SECOND, 10) || 30,
+  onFlush: (roomId, positions) => {
+    roomStore.updatePositions(roomId, positions)
+      .then(() => {
+        refreshNeighbours(roomId).catch(handleStoreError);
+        notifyOtherServers('positions-changed', roomId);
+        if (roomSettings.has(roomId)) {
+          return whispers.endDistant(roomId);
+        }
+      })
+      .catch((error) => console.error('Error saving positions:', error.message));
+  }
+});
+
+// Private two-person asides inside a room
+const whispers = createWhispers(io, roomStore, {
+  getHearingRadius: (roomId) => roomSettings.get(roomId).hearingRadius
+});
+
+// Only adapters that span processes support server-side events
+function notifyOtherServers(event, ...args) {
+  if (isClusterWorker) {
+    io.serverSideEmit(event, ...args);
+  }
+}
+
+// A new layout for the room, so position updates are checked against its walls
+function updateRoomLayout(roomId, layout) {
+  if (roomSettings.has(roomId)) {
+    roomSettings.get(roomId).layout = layout;
+  }
+  notifyOtherServers('layout-changed', roomId, layout);
+}
+
+// Sockets in the room that are connected to this process
+function getLocalSocketIds(roomId) {
+  return io.sockets.adapter.rooms.get(roomId) || new Set();
+}
+
+function loadRoomSettings(room) {
+  if (!roomSettings.has(room.id)) {
+    roomSettings.set(room.id, {
+      hearingRadius: room.hearing_radius || DEFAULT_HEARING_RADIUS,
+      mediaMode: room.media_mode || 'mesh',
+      sfuThreshold: room.sfu_threshold || DEFAULT_SFU_THRESHOLD,
+      layout: parseLayout(room.layout)
+    });
+  }
+  return roomSettings.get(room.id);
+}
+
+// Drop cached per-room state once this process has no sockets left in it
+function releaseLocalRoom(roomId) {
+  if (getLocalSocketIds(roomId).size === 0) {
+    roomSettings.delete(roomId);
+    roomMediaModes.delete(roomId);
+  }
+}
+
+// Recompute who is within hearing range. In mesh mode clients open and close
+// peer connections themselves; in SFU mode the server changes what it forwards.
+async function refreshNeighbours(roomId) {
+  const settings = roomSettings.get(roomId);
+  if (!settings) {
+    return;
+  }
+
+  const roomUsers = await roomStore.getUsers(roomId);
+  const localSets = new Map();
+  getLocalSocketIds(roomId).forEach((socketId) => {
+    if (neighbourSets.has(socketId)) {
+      localSets.set(socketId, neighbourSets.get(socketId));
+    }
+  });
+
+  const changes = updateNeighbours(roomUsers, settings.hearingRadius, localSets);
+  const useSfu = roomMediaModes.get(roomId) === 'sfu';
+
+  changes.forEach((change, socketId) => {
+    if (useSfu) {
+      change.added.forEach((peerId) => sfu.subscribe(socketId, peerId));
+      change.removed.forEach((peerId) => sfu.unsubscribe(socketId, peerId));
+    } else {
+      io.to(socketId).emit('neighbours-update', change);
+    }
+  });
+}
+
+// 'auto' rooms switch to SFU above the threshold and only drop back to a
+// mesh once they have shrunk to half of it, so they don't flip-flop
+function pickMediaMode(roomId, size) {
+  const settings = roomSettings.get(roomId);
+
+  if (settings.mediaMode !== 'auto') {
+    return settings.mediaMode;
+  }
+
+  if (size > settings.sfuThreshold) {
+    return 'sfu';
+  }
+
+  if (size <= Math.floor(settings.sfuThreshold / 2)) {
+    return 'mesh';
+  }
+
+  return roomMediaModes.get(roomId) || 'mesh';
+}
+
+// Move this process's sockets in the room over to a new media mode
+function applyMediaMode(roomId, mode) {
+  roomMediaModes.set(roomId, mode);
+
+  // Start from empty neighbour sets so the next refresh rebuilds every link
+  getLocalSocketIds(roomId).forEach((socketId) => {
+    neighbourSets.set(socketId, new Set());
+
+    if (mode === 'sfu') {
+      sfu.join(io.sockets.sockets.get(socketId));
+    } else {
+      sfu.leave(socketId);
+    }
+  });
+}
+
+// Re-evaluate the room's media mode and switch everyone over if it changed
+async function updateMediaMode(roomId) {
+  const size = await roomStore.countUsers(roomId);
+
+  // Read after the await, another update may have switched modes meanwhile
+  const previous = roomMediaModes.get(roomId);
+  if (!roomSettings.has(roomId)) {
+    return previous;
+  }
+
+  const mode = pickMediaMode(roomId, size);
+
+  if (mode === previous) {
+    return mode;
+  }
+
+  applyMediaMode(roomId, mode);
+
+  if (previous) {
+    io.to(roomId).emit('media-mode', { mediaMode: mode });
+    notifyOtherServers('media-mode-changed', roomId, mode);
+  }
+
+  return mode;
+}
+
+// Positions carry the direction the avatar faces as `heading`, in radians
+// clockwise from -z; clients that don't send one face -z
+function isValidPosition(position) {
+  return !!position &&
+    Number.isFinite(position.x) &&
+    Number.isFinite(position.y) &&
+    Number.isFinite(position.z) &&
+    (position.heading === undefined || Number.isFinite(position.heading));
+}
+
+function normalizeHeading(heading) {
+  const fullTurn = 2 * Math.PI;
+  return heading === undefined ? 0 : ((heading % fullTurn) + fullTurn) % fullTurn;
+}
+
+// Check that a room exists and that the user may enter it
+// (callback receives an error code, or null when access is allowed)
+function checkRoomAccess(roomId, userId, callback) {
+  db.get('SELECT * FROM rooms WHERE id = ?', [roomId], (err, room) => {
+    if (err) {
+      return callback('SERVER_ERROR');
+    }
+
+    if (!room) {
+      return callback('ROOM_NOT_FOUND');
+    }
+
+    if (room.creator_id === userId) {
+      return callback(null, room);
+    }
+
+    isBanned(db, roomId, userId, (err, banned) => {
+      if (err) {
+        return callback('SERVER_ERROR');
+      }
+
+      if (banned) {
+        return callback('BANNED');
+      }
+
+      db.get(
+        'SELECT * FROM room_participants WHERE room_id = ? AND user_id = ?',
+        [roomId, userId],
+        (err, participant) => {
+          if (err) {
+            return callback('SERVER_ERROR');
+          }
+
+          if (!participant) {
+            return callback('NOT_A_MEMBER');
+          }
+
+          callback(null, room);
+        }
+      );
+    });
+  });
+}
+
+const joinErrorMessages = {
+  SERVER_ERROR: 'Database error',
+  ROOM_NOT_FOUND: 'Room not found',
+  NOT_A_MEMBER: 'You are not a member of this room',
+  BANNED: 'You are banned from this room',
+  ROOM_FULL: 'Room is full',
+  ADMISSION_DENIED: 'You were not let into the room'
+};
+
+// How long a dropped participant keeps their slot before they are removed
+const RESUME_GRACE_MS = parseInt(process.env.RESUME_GRACE_MS, 10) || 30000;
+
+function getExistingUsers(roomUsers, exceptSocketId) {
+  const existingUsers = [];
+  roomUsers.forEach((user, socketId) => {
+    if (socketId !== exceptSocketId) {
+      existingUsers.push({
+        socketId,
+        userId: user.userId,
+        username: user.username,
+        position: user.position,
+        muted: user.muted,
+        forceMuted: user.forceMuted,
+        reconnecting: user.reconnecting,
+        whisperWith: user.whisperWith,
+        stageAccess: user.stageAccess,
+        speaking: user.speaking
+      });
+    }
+  });
+  return existingUsers;
+}
+
+// Add an authorized socket to the room and exchange user lists
+async function addUserToRoom(socket, room, userId, username) {
+  const roomId = room.id;
+  const settings = loadRoomSettings(room);
+  const resumeToken = uuidv4();
+  const stageAccess = room.creator_id === userId;
+
+  // Add user to room; the first person into an empty room starts a new session
+  const firstInRoom = await roomStore.addUser(roomId, socket.id, {
+    userId,
+    username,
+    position: { x: 0, y: 0, z: 0, heading: 0 },
+    muted: false,
+    forceMuted: false,
+    speaking: false,
+    reconnecting: false,
+    whisperWith: null,
+    whisperRequest: null,
+    stageAccess,
+    resumeToken
+  });
+
+  logJoin(db, roomId, userId, firstInRoom, Date.now(), handleSessionLogError);
+
+  socket.join(roomId);
+  socket.roomId = roomId;
+  socket.userId = userId;
+  socket.username = username;
+  socket.position = { x: 0, y: 0, z: 0 };
+  neighbourSets.set(socket.id, new Set());
+
+  // Notify other users in the room
+  socket.to(roomId).emit('user-joined', {
+    socketId: socket.id,
+    userId,
+    username,
+    position: { x: 0, y: 0, z: 0, heading: 0 },
+    stageAccess
+  });
+
+  // May switch the whole room over to the SFU now that it has grown
+  const mediaMode = await updateMediaMode(roomId);
+
+  socket.emit('room-joined', {
+    socketId: socket.id,
+    resumeToken,
+    graceMs: RESUME_GRACE_MS,
+    hearingRadius: settings.hearingRadius,
+    stageArea: STAGE_AREA,
+    stageAccess,
+    layout: parseLayout(room.layout),
+    acoustics: room.acoustics,
+    falloff: parseFalloff(room.falloff),
+    mediaMode,
+    recordings: await getActiveRecordings(roomId),
+    resumed: false
+  });
+
+  // No-op when the mode switch above already added this socket
+  if (mediaMode === 'sfu') {
+    sfu.join(socket);
+  }
+
+  // Send existing users to the new user
+  socket.emit('existing-users', getExistingUsers(await roomStore.getUsers(roomId), socket.id));
+
+  await refreshNeighbours(roomId);
+}
+
+// Move a kept slot over to the reconnected socket, preserving position and mute state.
+// Resolves to false when the slot is gone, e.g. because the grace period ran out.
+async function resumeUserInRoom(socket, room, resumeToken, previousSocketId) {
+  const roomId = room.id;
+  const settings = loadRoomSettings(room);
+  const user = await roomStore.moveUser(roomId, previousSocketId, socket.id);
+  if (!user) {
+    return false;
+  }
+
+  clearTimeout(graceTimers.get(previousSocketId));
+  graceTimers.delete(previousSocketId);
+  logEvent(db, roomId, user.userId, 'resume', null, Date.now(), handleSessionLogError);
+  positionBroadcaster.forget(roomId, previousSocketId);
+  sfu.leave(previousSocketId);
+  dropNeighbour(neighbourSets, previousSocketId);
+  neighbourSets.delete(previousSocketId);
+
+  socket.join(roomId);
+  socket.roomId = roomId;
+  socket.userId = user.userId;
+  socket.username = user.username;
+  socket.position = user.position;
+  neighbourSets.set(socket.id, new Set());
+
+  // The old socket may not have timed out yet, possibly on another process;
+  // its slot has moved, so retiring it does not remove the user
+  io.in(previousSocketId).disconnectSockets(true);
+
+  socket.to(roomId).emit('user-resumed', {
+    previousSocketId,
+    socketId: socket.id,
+    userId: user.userId,
+    username: user.username,
+    position: user.position,
+    muted: user.muted,
+    forceMuted: user.forceMuted,
+    stageAccess: user.stageAccess
+  });
+
+  const mediaMode = await updateMediaMode(roomId);
+
+  socket.emit('room-joined', {
+    socketId: socket.id,
+    resumeToken,
+    graceMs: RESUME_GRACE_MS,
+    hearingRadius: settings.hearingRadius,
+    stageArea: STAGE_AREA,
+    stageAccess: user.stageAccess,
+    layout: parseLayout(room.layout),
+    acoustics: room.acoustics,
+    falloff: parseFalloff(room.falloff),
+    mediaMode,
+    recordings: await getActiveRecordings(roomId),
+    resumed: true,
+    position: user.position,
+    muted: user.muted,
+    forceMuted: user.forceMuted
+  });
+
+  if (mediaMode === 'sfu') {
+    sfu.join(socket);
+  }
+
+  socket.emit('existing-users', getExistingUsers(await roomStore.getUsers(roomId), socket.id));
+
+  await refreshNeighbours(roomId);
+  return true;
+}
+
+// Remove a participant for good and tell the rest of the room
+async function removeUserFromRoom(roomId, socketId) {
+  await whispers.end(roomId, socketId, 'left');
+  const user = await roomStore.removeUser(roomId, socketId);
+
+  positionBroadcaster.forget(roomId, socketId);
+  sfu.leave(socketId);
+  dropNeighbour(neighbourSets, socketId);
+  neighbourSets.delete(socketId);
+  clearTimeout(graceTimers.get(socketId));
+  graceTimers.delete(socketId);
+
+  if (!user) {
+    return;
+  }
+
+  await finishUserRecordings(roomId, user.userId);
+
+  const roomEmpty = await roomStore.countUsers(roomId) === 0;
+  logLeave(db, roomId, user.userId, roomEmpty, Date.now(), handleSessionLogError);
+
+  // If room is empty, nothing else to do
+  if (roomEmpty) {
+    releaseLocalRoom(roomId);
+    return;
+  }
+
+  // Notify other users in the room
+  io.to(roomId).emit('user-left', {
+    socketId,
+    userId: user.userId,
+    username: user.username
+  });
+
+  if (getLocalSocketIds(roomId).size === 0) {
+    releaseLocalRoom(roomId);
+  } else {
+    await updateMediaMode(roomId);
+    await refreshNeighbours(roomId);
+  }
+}
+
+// Relay a signaling message only when both sockets are in the same room
+async function relaySignal(socket, event, data, payload) {
+  const sender = socket.roomId && await roomStore.getUser(socket.roomId, socket.id);
+  let code = null;
+
+  if (!sender) {
+    code = 'NOT_IN_ROOM';
+  } else if (!data || !data.target || !await roomStore.getUser(socket.roomId, data.target)) {
+    code = 'TARGET_NOT_IN_ROOM';
+  }
+
+  if (code) {
+    socket.emit('signaling-error', {
+      code,
+      type: event,
+      target: data ? data.target : undefined
+    });
+    return;
+  }
+
+  socket.to(data.target).emit(event, payload);
+}
+
+// Promise wrapper so role checks fit into the async socket handlers
+function getRole(roomId, userId) {
+  return new Promise((resolve, reject) => {
+    getRoomRole(db, roomId, userId, (err, role) => (err ? reject(err) : resolve(role)));
+  });
+}
+
+// Recordings in progress, so people joining see the notice too
+function getActiveRecordings(roomId) {
+  return new Promise((resolve, reject) => {
+    listRecordings(db, roomId, true, (err, recordings) => (err ? reject(err) : resolve(recordings)));
+  });
+}
+
+// A recording can't outlive its recorder being in the room
+function finishUserRecordings(roomId, userId) {
+  return new Promise((resolve, reject) => {
+    completeUserRecordings(db, roomId, userId, (err, ids) => {
+      if (err) {
+        return reject(err);
+      }
+
+      ids.forEach((recordingId) => io.to(roomId).emit('recording-stopped', { recordingId }));
+      resolve();
+    });
+  });
+}
+
+// Resolve both sides of a moderation action; resolves to null (after telling
+// the actor why) unless the actor's role outranks the target's and is at
+// least `minRole`
+async function authorizeModeration(socket, action, data, minRole = 'moderator') {
+  const roomId = socket.roomId;
+  const target = data && data.target;
+  const actor = roomId && await roomStore.getUser(roomId, socket.id);
+  const targetUser = actor && target && await roomStore.getUser(roomId, target);
+  let code = null;
+
+  if (!actor) {
+    code = 'NOT_IN_ROOM';
+  } else if (!targetUser) {
+    code = 'TARGET_NOT_IN_ROOM';
+  } else {
+    const [actorRole, targetRole] = await Promise.all([
+      getRole(roomId, actor.userId),
+      getRole(roomId, targetUser.userId)
+    ]);
+
+    if (!canModerate(actorRole, targetRole) || ROLE_RANKS[actorRole] < ROLE_RANKS[minRole]) {
+      code = 'FORBIDDEN';
+    }
+  }
+
+  if (code) {
+    socket.emit('moderation-error', { code, action, target });
+    return null;
+  }
+
+  return { roomId, actor, target, targetUser };
+}
+
+// Send a participant out of the room; their client won't reconnect on its own
+async function kickFromRoom(roomId, socketId, details) {
+  io.to(socketId).emit('kicked', details);
+  await removeUserFromRoom(roomId, socketId);
+  io.in(socketId).disconnectSockets(true);
+}
+
+// Remove every slot and lobby request the user has in the room, e.g. from
+// other tabs, and close all of their sockets there, on any process
+async function banFromRoom(roomId, userId, details) {
+  for (const [socketId, user] of await roomStore.getUsers(roomId)) {
+    if (user.userId === userId) {
+      await kickFromRoom(roomId, socketId, details);
+    }
+  }
+
+  let lobbyChanged = false;
+  for (const [socketId, entry] of await roomStore.getLobby(roomId)) {
+    if (entry.userId === userId && await roomStore.removeFromLobby(roomId, socketId)) {
+      io.to(socketId).emit('kicked', details);
+      io.in(socketId).disconnectSockets(true);
+      lobbyChanged = true;
+    }
+  }
+  if (lobbyChanged) {
+    await broadcastLobby(roomId);
+  }
+
+  io.in(userChannel(roomId, userId)).disconnectSockets(true);
+}
+
+// Join the channels that depend on the user's role; owners and moderators
+// also get the current lobby
+async function joinRoleChannels(socket, roomId, userId) {
+  socket.join(userChannel(roomId, userId));
+
+  const role = await getRole(roomId, userId);
+  if (ROLE_RANKS[role] >= ROLE_RANKS.moderator) {
+    socket.join(moderatorsChannel(roomId));
+    socket.emit('lobby-update', { waiting: await getLobbyList(roomId) });
+  }
+}
+
+async function getLobbyList(roomId) {
+  const waiting = [];
+  (await roomStore.getLobby(roomId)).forEach((entry, socketId) => {
+    waiting.push({ socketId, userId: entry.userId, username: entry.username });
+  });
+  return waiting;
+}
+
+async function broadcastLobby(roomId) {
+  io.to(moderatorsChannel(roomId)).emit('lobby-update', { waiting: await getLobbyList(roomId) });
+}
+
+// Hold a socket back until an owner or moderator admits it; it gets no
+// participant list and no media until then
+async function waitInLobby(socket, room, userId, username) {
+  socket.lobby = { room, userId, username };
+  await roomStore.addToLobby(room.id, socket.id, { userId, username });
+  socket.emit('lobby-waiting', { roomId: room.id });
+  await broadcastLobby(room.id);
+}
+
+// Admitted users continue on the process that holds their socket
+async function enterFromLobby(socket) {
+  const { room, userId, username } = socket.lobby;
+  socket.lobby = null;
+
+  // The room may have filled up while they waited
+  if (await isRoomFull(roomStore, room, userId)) {
+    socket.emit('join-error', {
+      code: 'ROOM_FULL',
+      message: joinErrorMessages.ROOM_FULL
+    });
+    return;
+  }
+
+  await addUserToRoom(socket, room, userId, username);
+  await joinRoleChannels(socket, room.id, userId);
+}
+
+function admitFromLobby(roomId, socketId) {
+  const socket = io.sockets.sockets.get(socketId);
+  if (socket && socket.lobby) {
+    return enterFromLobby(socket);
+  }
+  notifyOtherServers('lobby-admitted', roomId, socketId);
+}
+
+// Let in everyone waiting in a room's lobby
+async function admitLobby(roomId) {
+  const waiting = Array.from((await roomStore.getLobby(roomId)).keys());
+
+  for (const socketId of waiting) {
+    if (await roomStore.removeFromLobby(roomId, socketId)) {
+      await admitFromLobby(roomId, socketId);
+    }
+  }
+
+  if (waiting.length > 0) {
+    await broadcastLobby(roomId);
+  }
+}
+
+// Take a request out of the lobby for an owner or moderator; resolves to the
+// lobby entry, or null (after telling the actor why) when that isn't allowed
+async function answerLobbyRequest(socket, action, data) {
+  const roomId = socket.roomId;
+  const target = data && data.target;
+  const actor = roomId && await roomStore.getUser(roomId, socket.id);
+  let code = null;
+
+  if (!actor) {
+    code = 'NOT_IN_ROOM';
+  } else if (ROLE_RANKS[await getRole(roomId, actor.userId)] < ROLE_RANKS.moderator) {
+    code = 'FORBIDDEN';
+  }
+
+  const entry = !code && await roomStore.removeFromLobby(roomId, target);
+  if (!code && !entry) {
+    code = 'TARGET_NOT_IN_LOBBY';
+  }
+
+  if (code) {
+    socket.emit('moderation-error', { code, action, target });
+    return null;
+  }
+
+  await broadcastLobby(roomId);
+  return entry;
+}
+
+async function sendChatMessage(socket, data) {
+  const text = data && typeof data.text === 'string' ? data.text.trim() : '';
+  const scope = data && data.scope;
+
+  if (!socket.roomId || !text || text.length > MAX_MESSAGE_LENGTH || !CHAT_SCOPES.includes(scope)) {
+    return;
+  }
+
+  const roomId = socket.roomId;
+  const roomUsers = await roomStore.getUsers(roomId);
+  const sender = roomUsers.get(socket.id);
+  if (!sender) {
+    return;
+  }
+
+  const recipients = scope === 'nearby' ?
+    getNearbyRecipients(roomUsers, socket.id, roomSettings.get(roomId).hearingRadius) : null;
+  const recipientUserIds = recipients && recipients.map((socketId) => roomUsers.get(socketId).userId);
+
+  const message = await new Promise((resolve, reject) => {
+    saveMessage(db, roomId, sender, scope, text, recipientUserIds,
+      (err, saved) => (err ? reject(err) : resolve(saved)));
+  });
+
+  io.to(recipients || roomId).emit('chat-message', message);
+}
+
+// Log store failures from socket handlers instead of leaving unhandled rejections
+function handleStoreError(error) {
+  console.error('Room store error:', error.message);
+}
+
+// Session logging never holds up the meeting itself
+function handleSessionLogError(err) {
+  if (err) {
+    console.error('Error logging session event:', err.message);
+  }
+}
+
+// Sample where everyone connected to this process stands, for the
+// who-was-near-whom part of session reports
+setInterval(() => {
+  const at = Date.now();
+  for (const roomId of roomSettings.keys()) {
+    roomStore.getUsers(roomId)
+      .then((users) => {
+        const localSocketIds = getLocalSocketIds(roomId);
+        const samples = [];
+        users.forEach((user, socketId) => {
+          if (localSocketIds.has(socketId) && !user.reconnecting) {
+            samples.push({ userId: user.userId, position: user.position });
+          }
+        });
+        logPositions(db, roomId, samples, at, handleSessionLogError);
+      })
+      .catch(handleStoreError);
+  }
+}, SAMPLE_INTERVAL_MS);
+
+// Events from the other processes sharing rooms with this one
+io.on('positions-changed', (roomId) => {
+  refreshNeighbours(roomId).catch(handleStoreError);
+});
+
+io.on('lobby-admitted', (roomId, socketId) => {
+  const socket = io.sockets.sockets.get(socketId);
+  if (socket && socket.lobby) {
+    enterFromLobby(socket).catch(handleStoreError);
+  }
+});
+
+io.on('layout-changed', (roomId, layout) => {
+  if (roomSettings.has(roomId)) {
+    roomSettings.get(roomId).layout = layout;
+  }
+});
+
+io.on('media-mode-changed', (roomId, mode) => {
+  if (roomSettings.has(roomId)) {
+    applyMediaMode(roomId, mode);
+    refreshNeighbours(roomId).catch(handleStoreError);
+  }
+});
 
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
   // Join room
   socket.on('join-room', (data) => {
-    const { roomId, userId, username } = data;
-    
-    socket.join(roomId);
-    socket.roomId = roomId;
-    socket.userId = userId;
-    socket.username = username;
-    
-    // Initialize room if it doesn't exist
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, new Map());
-    }
-    
-    // Add user to room
-    rooms.get(roomId).set(socket.id, {
-      userId,
-      username,
-      position: { x: 0, y: 0, z: 0 },
-      muted: false
-    });
+    const { roomId, resumeToken } = data || {};
+    const session = socket.request.session;
 
-    // Notify other users in the room
-    socket.to(roomId).emit('user-joined', {
-      socketId: socket.id,
-      userId,
-      username,
-      position: { x: 0, y: 0, z: 0 }
-    });
+    // Identity comes from the session only, never from the client payload
+    if (!session || !session.userId) {
+      socket.emit('join-error', {
+        code: 'UNAUTHENTICATED',
+        message: 'Authentication required'
+      });
+      return;
+    }
 
-    // Send existing users to the new user
-    const roomUsers = rooms.get(roomId);
-    const existingUsers = [];
-    roomUsers.forEach((user, socketId) => {
-      if (socketId !== socket.id) {
-        existingUsers.push({
-          socketId,
-          userId: user.userId,
-          username: user.username,
-          position: user.position,
-          muted: user.muted
+    if (socket.roomId || socket.lobby) {
+      socket.emit('join-error', {
+        code: 'ALREADY_JOINED',
+        message: 'Already in a room'
+      });
+      return;
+    }
+
+    const userId = session.userId;
+    const username = session.username;
+
+    checkRoomAccess(roomId, userId, async (code, room) => {
+      // The socket may have gone away while the database was queried
+      if (!socket.connected) {
+        return;
+      }
+
+      if (code) {
+        socket.emit('join-error', {
+          code,
+          message: joinErrorMessages[code]
+        });
+        return;
+      }
+
+      try {
+        const slot = await roomStore.findByResumeToken(roomId, resumeToken);
+        const resumed = slot && slot.user.userId === userId &&
+          await resumeUserInRoom(socket, room, resumeToken, slot.socketId);
+
+        if (resumed) {
+          await joinRoleChannels(socket, roomId, userId);
+          return;
+        }
+
+        if (await isRoomFull(roomStore, room, userId)) {
+          socket.emit('join-error', {
+            code: 'ROOM_FULL',
+            message: joinErrorMessages.ROOM_FULL
+          });
+          return;
+        }
+
+        // Owners and moderators never wait for admission
+        const role = await getRole(roomId, userId);
+        if (room.require_admission && ROLE_RANKS[role] < ROLE_RANKS.moderator) {
+          await waitInLobby(socket, room, userId, username);
+          return;
+        }
+
+        await addUserToRoom(socket, room, userId, username);
+        await joinRoleChannels(socket, roomId, userId);
+      } catch (error) {
+        handleStoreError(error);
+        socket.emit('join-error', {
+          code: 'SERVER_ERROR',
+          message: joinErrorMessages.SERVER_ERROR
         });
       }
     });
-    
-    socket.emit('existing-users', existingUsers);
   });
 
   // Handle WebRTC signaling
   socket.on('offer', (data) => {
-    socket.to(data.target).emit('offer', {
-      offer: data.offer,
+    relaySignal(socket, 'offer', data, {
+      offer: data && data.offer,
       caller: socket.id
-    });
+    }).catch(handleStoreError);
   });
 
   socket.on('answer', (data) => {
-    socket.to(data.target).emit('answer', {
-      answer: data.answer,
+    relaySignal(socket, 'answer', data, {
+      answer: data && data.answer,
       answerer: socket.id
-    });
+    }).catch(handleStoreError);
   });
 
   socket.on('ice-candidate', (data) => {
-    socket.to(data.target).emit('ice-candidate', {
-      candidate: data.candidate,
+    relaySignal(socket, 'ice-candidate', data, {
+      candidate: data && data.candidate,
       sender: socket.id
-    });
+    }).catch(handleStoreError);
+  });
+
+  // SFU signaling; the server makes every offer, clients only answer
+  socket.on('sfu-answer', (data) => {
+    sfu.handleAnswer(socket.id, data && data.answer);
+  });
+
+  socket.on('sfu-ice-candidate', (data) => {
+    sfu.handleIceCandidate(socket.id, data && data.candidate);
   });
 
   // Handle spatial positioning
   socket.on('position-update', (position) => {
-    if (socket.roomId && rooms.has(socket.roomId)) {
-      const roomUsers = rooms.get(socket.roomId);
-      if (roomUsers.has(socket.id)) {
-        roomUsers.get(socket.id).position = position;
-        
-        // Broadcast position to other users in the room
-        socket.to(socket.roomId).emit('user-position-update', {
-          socketId: socket.id,
-          position
-        });
-      }
+    if (!isValidPosition(position) || !socket.roomId) {
+      return;
+    }
+
+    const { x, y, z } = position;
+    const heading = normalizeHeading(position.heading);
+
+    // Walls are drawn and enforced on the client too, but a stale or modified
+    // client must not end up on the other side of one
+    if (crossesWall(roomSettings.get(socket.roomId).layout, socket.position, position)) {
+      socket.emit('position-rejected', { position: socket.position });
+      return;
+    }
+
+    // Queued for the next positions-snapshot, which also saves it to the
+    // room store; excess updates are dropped
+    if (positionBroadcaster.queue(socket.roomId, socket.id, { x, y, z, heading })) {
+      socket.position = { x, y, z };
     }
   });
 
   // Handle mute/unmute
-  socket.on('toggle-mute', (muted) => {
-    if (socket.roomId && rooms.has(socket.roomId)) {
-      const roomUsers = rooms.get(socket.roomId);
-      if (roomUsers.has(socket.id)) {
-        roomUsers.get(socket.id).muted = muted;
-        
+  socket.on('toggle-mute', async (muted) => {
+    if (!socket.roomId) {
+      return;
+    }
+
+    try {
+      const user = await roomStore.getUser(socket.roomId, socket.id);
+
+      // Only a moderator can lift a forced mute
+      if (!user || (user.forceMuted && !muted)) {
+        return;
+      }
+
+      const changes = muted ? { muted: true, speaking: false } : { muted: false };
+      if (await roomStore.updateUser(socket.roomId, socket.id, changes)) {
+        if (user.muted !== !!muted) {
+          logEvent(db, socket.roomId, user.userId, 'mute', { muted: !!muted }, Date.now(), handleSessionLogError);
+        }
+
         // Broadcast mute status to other users
         socket.to(socket.roomId).emit('user-mute-update', {
           socketId: socket.id,
-          muted
+          muted: !!muted,
+          forceMuted: user.forceMuted
         });
       }
+    } catch (error) {
+      handleStoreError(error);
     }
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-    
-    if (socket.roomId && rooms.has(socket.roomId)) {
-      const roomUsers = rooms.get(socket.roomId);
-      roomUsers.delete(socket.id);
-      
-      // If room is empty, delete it
-      if (roomUsers.size === 0) {
-        rooms.delete(socket.roomId);
-      } else {
-        // Notify other users in the room
-        socket.to(socket.roomId).emit('user-left', {
+  // Clients detect when their user starts and stops talking; muted users
+  // are never speaking
+  socket.on('speaking', async (speaking) => {
+    if (!socket.roomId) {
+      return;
+    }
+
+    try {
+      const user = await roomStore.getUser(socket.roomId, socket.id);
+      const isSpeaking = !!speaking && !!user && !user.muted;
+      if (!user || user.speaking === isSpeaking) {
+        return;
+      }
+
+      if (await roomStore.updateUser(socket.roomId, socket.id, { speaking: isSpeaking })) {
+        logEvent(db, socket.roomId, user.userId, 'speaking', { speaking: isSpeaking }, Date.now(), handleSessionLogError);
+        socket.to(socket.roomId).emit('user-speaking', {
           socketId: socket.id,
-          userId: socket.userId,
-          username: socket.username
+          speaking: isSpeaking
         });
       }
+    } catch (error) {
+      handleStoreError(error);
+    }
+  });
+
+  // Moderation; owners and moderators act on participants ranked below them
+  socket.on('kick-participant', async (data) => {
+    try {
+      const action = await authorizeModeration(socket, 'kick', data);
+      if (action) {
+        await kickFromRoom(action.roomId, action.target, {
+          by: action.actor.username,
+          banned: false
+        });
+      }
+    } catch (error) {
+      handleStoreError(error);
+    }
+  });
+
+  // A forced mute holds until a moderator lifts it with { muted: false }
+  socket.on('force-mute', async (data) => {
+    try {
+      const action = await authorizeModeration(socket, 'force-mute', data);
+      if (!action) {
+        return;
+      }
+
+      const forced = data.muted !== false;
+      const changes = forced ? { muted: true, forceMuted: true, speaking: false } : { forceMuted: false };
+      if (!await roomStore.updateUser(action.roomId, action.target, changes)) {
+        return;
+      }
+
+      if (forced && !action.targetUser.muted) {
+        logEvent(db, action.roomId, action.targetUser.userId, 'mute', { muted: true, forced: true }, Date.now(),
+          handleSessionLogError);
+      }
+
+      io.to(action.target).emit('force-muted', {
+        muted: forced,
+        by: action.actor.username
+      });
+
+      io.to(action.roomId).emit('user-mute-update', {
+        socketId: action.target,
+        muted: forced || action.targetUser.muted,
+        forceMuted: forced
+      });
+    } catch (error) {
+      handleStoreError(error);
+    }
+  });
+
+  socket.on('ban-participant', async (data) => {
+    try {
+      const action = await authorizeModeration(socket, 'ban', data);
+      if (!action) {
+        return;
+      }
+
+      await new Promise((resolve, reject) => {
+        banUser(db, action.roomId, action.targetUser.userId, action.actor.userId,
+          (err) => (err ? reject(err) : resolve()));
+      });
+
+      await banFromRoom(action.roomId, action.targetUser.userId, {
+        by: action.actor.username,
+        banned: true
+      });
+    } catch (error) {
+      handleStoreError(error);
+    }
+  });
+
+  // Owners decide who may present from the stage
+  socket.on('stage-access', async (data) => {
+    try {
+      const action = await authorizeModeration(socket, 'stage-access', data, 'owner');
+      if (!action) {
+        return;
+      }
+
+      const stageAccess = data.granted !== false;
+      if (!await roomStore.updateUser(action.roomId, action.target, { stageAccess })) {
+        return;
+      }
+
+      io.to(action.roomId).emit('stage-access-updated', {
+        socketId: action.target,
+        stageAccess
+      });
+
+      // Someone standing on the stage starts or stops reaching the whole room
+      await refreshNeighbours(action.roomId);
+      notifyOtherServers('positions-changed', action.roomId);
+    } catch (error) {
+      handleStoreError(error);
     }
   });
-});
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Spatial Audio Conferencing Platform running on port ${PORT}`);
+  // Text chat, to people within hearing range or to the whole room.
+  // Each socket's messages are handled one at a time so they keep their order.
+  let chatQueue = Promise.resolve();
+  socket.on('chat-message', (data) => {
+    chatQueue = chatQueue.then(() => sendChatMessage(socket, data)).catch(handleStoreError);
+  });
+
+  // Whispers; either party can end one at any time
+  socket.on('whisper-request', (data) => {
+    whispers.request(socket, data && data.target).catch(handleStoreError);
+  });
+
+  socket.on('whisper-respond', (data) => {
+    whispers.respond(socket, data && data.from, !!(data && data.accept)).catch(handleStoreError);
+  });
+
+  socket.on('whisper-end', () => {
+    if (socket.roomId) {
+      whispers.end(socket.roomId, socket.id, 'ended').catch(handleStoreError);
+    }
+  });
+
+  // Lobby requests, answered by owners and moderators
+  socket.on('admit-user', async (data) => {
+    try {
+      if (await answerLobbyRequest(socket, 'admit', data)) {
+        await admitFromLobby(socket.roomId, data.target);
+      }
+    } catch (error) {
+      handleStoreError(error);
+    }
+  });
+
+  socket.on('deny-user', async (data) => {
+    try {
+      if (await answerLobbyRequest(socket, 'deny', data)) {
+        io.to(data.target).emit('join-error', {
+          code: 'ADMISSION_DENIED',
+          message: joinErrorMessages.ADMISSION_DENIED
+        });
+        io.in(data.target).disconnectSockets(true);
+      }
+    } catch (error) {
+      handleStoreError(error);
+    }
+  });
+
+  // Handle disconnection
+  socket.on('disconnect', async (reason) => {
+    console.log('User disconnected:', socket.id, reason);
+
+    const roomId = socket.roomId;
+
+    try {
+      // Gave up waiting in the lobby
+      if (socket.lobby) {
+        if (await roomStore.removeFromLobby(socket.lobby.room.id, socket.id)) {
+          await broadcastLobby(socket.lobby.room.id);
+        }
+        return;
+      }
+
+      if (!roomId) {
+        return;
+      }
+
+      // Leaving on purpose ends the session right away
+      if (reason === 'client namespace disconnect' || reason === 'server namespace disconnect') {
+        await removeUserFromRoom(roomId, socket.id);
+        return;
+      }
+
+      // Otherwise keep the slot for the grace period so the user can resume;
+      // the media session is rebuilt on resume either way
+      positionBroadcaster.forget(roomId, socket.id);
+      sfu.leave(socket.id);
+      neighbourSets.delete(socket.id);
+      await whispers.end(roomId, socket.id, 'disconnected');
+
+      if (!await roomStore.updateUser(roomId, socket.id, { reconnecting: true })) {
+        return;
+      }
+
+      // The time spent away doesn't count as time in the room, even if they resume
+      logEvent(db, roomId, socket.userId, 'disconnect', null, Date.now(), handleSessionLogError);
+
+      graceTimers.set(socket.id, setTimeout(() => {
+        graceTimers.delete(socket.id);
+        roomStore.getUser(roomId, socket.id)
+          .then((user) => {
+            if (user && user.reconnecting) {
+              return removeUserFromRoom(roomId, socket.id);
+            }
+          })
+          .catch(handleStoreError);
+      }, RESUME_GRACE_MS));
+
+      socket.to(roomId).emit('user-reconnecting', {
+        socketId: socket.id
+      });
+    } catch (error) {
+      handleStoreError(error);
+    }
+  });
 });
 
-module.exports = { app, db };
\ No newline at end of file
+// A worker that died took its sockets and grace timers with it; the worker
+// started in its place removes the participants and lobby entries it left
+// behind, telling their rooms as if they had left
+async function removeExitedWorkerUsers(pid) {
+  const owned = await roomStore.listOwned(pid);
+
+  for (const { roomId, socketId } of owned.lobby) {
+    if (await roomStore.removeFromLobby(roomId, socketId)) {
+      await broadcastLobby(roomId);
+    }
+  }
+
+  for (const { roomId, socketId } of owned.participants) {
+    await removeUserFromRoom(roomId, socketId);
+  }
+}
+
+if (isClusterWorker && process.env.EXITED_WORKER_PID) {
+  removeExitedWorkerUsers(parseInt(process.env.EXITED_WORKER_PID, 10)).catch(handleStoreError);
+}
+
+// Cluster workers share the port opened by the primary process (server/cluster.js)
+if (!isClusterWorker) {
+  const PORT = process.env.PORT || 3000;
+
+  // A single process owns the store, so anything in it is left over from a previous run
+  roomStore.clear().catch(handleStoreError);
+
+  server.listen(PORT, () => {
+    console.log(`Spatial Audio Conferencing Platform running on port ${PORT}`);
+  });
+}
+
+module.exports = { app, db };
@@ -0,0 +1,96 @@
+const { distanceBetween } = require('./neighbours');
+
+// Room text chat. "nearby" messages reach everyone within the sender's
+// hearing radius at the moment they are sent; "everyone" reaches the room.
+
+const CHAT_SCOPES = ['nearby', 'everyone'];
+const MAX_MESSAGE_LENGTH = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Socket ids of the sender and of everyone in range who is connected
+function getNearbyRecipients(roomUsers, senderSocketId, hearingRadius) {
+  const sender = roomUsers.get(senderSocketId);
+  const recipients = [senderSocketId];
+
+  roomUsers.forEach((user, socketId) => {
+    if (socketId !== senderSocketId && !user.reconnecting &&
+        distanceBetween(sender.position, user.position) <= hearingRadius) {
+      recipients.push(socketId);
+    }
+  });
+
+  return recipients;
+}
+
+// Store a message; nearby messages remember who received them so history
+// only shows them to those people. Callback receives (err, message).
+function saveMessage(db, roomId, sender, scope, text, recipientIds, callback) {
+  const createdAt = new Date().toISOString();
+
+  db.run(
+    `INSERT INTO messages (room_id, user_id, username, scope, text, recipient_ids, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [roomId, sender.userId, sender.username, scope, text,
+      scope === 'nearby' ? JSON.stringify(recipientIds) : null, createdAt],
+    function(err) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, {
+        id: this.lastID,
+        userId: sender.userId,
+        username: sender.username,
+        scope,
+        text,
+        createdAt
+      });
+    }
+  );
+}
+
+// Page backwards through the messages a user may see, newest page first;
+// `before` is the id of the oldest message already loaded
+function listMessages(db, roomId, userId, options, callback) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const before = parseInt(options.before, 10) || null;
+
+  db.all(
+    `SELECT id, user_id, username, scope, text, created_at
+     FROM messages
+     WHERE room_id = ?
+       AND (? IS NULL OR id < ?)
+       AND (scope = 'everyone' OR user_id = ?
+         OR EXISTS (SELECT 1 FROM json_each(recipient_ids) WHERE value = ?))
+     ORDER BY id DESC
+     LIMIT ?`,
+    [roomId, before, before, userId, userId, limit + 1],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      // One extra row tells us whether there is another page
+      const hasMore = rows.length > limit;
+      const messages = rows.slice(0, limit).reverse().map((row) => ({
+        id: row.id,
+        userId: row.user_id,
+        username: row.username,
+        scope: row.scope,
+        text: row.text,
+        createdAt: row.created_at
+      }));
+
+      callback(null, { messages, hasMore });
+    }
+  );
+}
+
+module.exports = {
+  CHAT_SCOPES,
+  MAX_MESSAGE_LENGTH,
+  getNearbyRecipients,
+  saveMessage,
+  listMessages
+};
@@ -0,0 +1,50 @@
+const cluster = require('cluster');
+const http = require('http');
+const os = require('os');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { createRoomStore } = require('./stores');
+
+// Runs several copies of the server on one port. The primary process only
+// accepts connections and hands them to workers; Socket.IO connections stick
+// to one worker, and workers share live room state through SQLite.
+
+if (cluster.isPrimary) {
+  const PORT = process.env.PORT || 3000;
+  const WORKERS = parseInt(process.env.WORKERS, 10) || os.cpus().length;
+
+  const httpServer = http.createServer();
+  setupMaster(httpServer, {
+    loadBalancingMethod: 'least-connection'
+  });
+  setupPrimary();
+
+  // Needed for the binary packets relayed by the cluster adapter
+  cluster.setupPrimary({
+    serialization: 'advanced'
+  });
+
+  // Participants left over from a previous run have no sockets any more
+  createRoomStore('sqlite').clear()
+    .then(() => {
+      for (let i = 0; i < WORKERS; i++) {
+        cluster.fork();
+      }
+
+      httpServer.listen(PORT, () => {
+        console.log(`Spatial Audio Conferencing Platform running on port ${PORT} with ${WORKERS} workers`);
+      });
+    })
+    .catch((error) => {
+      console.error('Error clearing live room state:', error.message);
+      process.exit(1);
+    });
+
+  // The replacement removes the participants whose sockets the dead worker held
+  cluster.on('exit', (worker) => {
+    console.log(`Worker ${worker.process.pid} exited, starting a new one`);
+    cluster.fork({ EXITED_WORKER_PID: worker.process.pid });
+  });
+} else {
+  require('./app');
+}
@@ -0,0 +1,110 @@
+// How voices fade with distance and direction in a room. The fields map onto
+// the Web Audio PannerNode settings clients use; `cutoffRadius` (null for
+// none) is the distance beyond which a peer is not heard at all. The voice
+// cone makes people clearer in the direction they face: full level within
+// `coneInnerAngle` degrees, fading to `coneOuterGain` at `coneOuterAngle`.
+
+const DISTANCE_MODELS = ['linear', 'inverse', 'exponential'];
+const MAX_DISTANCE = 1000;
+const MAX_ROLLOFF = 10;
+const MAX_CUTOFF_RADIUS = 50;
+
+const DEFAULT_FALLOFF = {
+  distanceModel: 'inverse',
+  refDistance: 1.5,
+  maxDistance: 20,
+  rolloffFactor: 1,
+  cutoffRadius: null,
+  coneInnerAngle: 90,
+  coneOuterAngle: 270,
+  coneOuterGain: 0.5
+};
+
+// Fill in unspecified fields from a base profile (the defaults, or the
+// room's current profile when only some fields are changed). Returns null
+// when the changes are not an object.
+function mergeFalloff(base, changes) {
+  if (changes === undefined) {
+    return { ...base };
+  }
+
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return null;
+  }
+
+  const falloff = { ...base };
+  Object.keys(DEFAULT_FALLOFF).forEach((key) => {
+    if (changes[key] !== undefined) {
+      falloff[key] = changes[key];
+    }
+  });
+  return falloff;
+}
+
+// Returns an error message or null
+function validateFalloff(falloff) {
+  if (!falloff) {
+    return 'Falloff must be an object';
+  }
+
+  const {
+    distanceModel, refDistance, maxDistance, rolloffFactor, cutoffRadius,
+    coneInnerAngle, coneOuterAngle, coneOuterGain
+  } = falloff;
+
+  if (!DISTANCE_MODELS.includes(distanceModel)) {
+    return `Distance model must be one of: ${DISTANCE_MODELS.join(', ')}`;
+  }
+
+  if (!(Number.isFinite(refDistance) && refDistance > 0)) {
+    return 'Reference distance must be a positive number';
+  }
+
+  if (!(Number.isFinite(maxDistance) && maxDistance > refDistance && maxDistance <= MAX_DISTANCE)) {
+    return `Max distance must be greater than the reference distance and at most ${MAX_DISTANCE}`;
+  }
+
+  // The linear model only accepts rolloff factors up to 1
+  const maxRolloff = distanceModel === 'linear' ? 1 : MAX_ROLLOFF;
+  if (!(Number.isFinite(rolloffFactor) && rolloffFactor >= 0 && rolloffFactor <= maxRolloff)) {
+    return `Rolloff factor must be between 0 and ${maxRolloff} for the ${distanceModel} model`;
+  }
+
+  if (cutoffRadius !== null && !(Number.isFinite(cutoffRadius) && cutoffRadius > 0 && cutoffRadius <= MAX_CUTOFF_RADIUS)) {
+    return `Cutoff radius must be null or between 0 and ${MAX_CUTOFF_RADIUS}`;
+  }
+
+  if (!(Number.isFinite(coneInnerAngle) && coneInnerAngle >= 0 && coneInnerAngle <= 360)) {
+    return 'Cone inner angle must be between 0 and 360 degrees';
+  }
+
+  if (!(Number.isFinite(coneOuterAngle) && coneOuterAngle >= coneInnerAngle && coneOuterAngle <= 360)) {
+    return 'Cone outer angle must be between the inner angle and 360 degrees';
+  }
+
+  if (!(Number.isFinite(coneOuterGain) && coneOuterGain >= 0 && coneOuterGain <= 1)) {
+    return 'Cone outer gain must be between 0 and 1';
+  }
+
+  return null;
+}
+
+function parseFalloff(text) {
+  if (!text) {
+    return { ...DEFAULT_FALLOFF };
+  }
+
+  try {
+    return mergeFalloff(DEFAULT_FALLOFF, JSON.parse(text)) || { ...DEFAULT_FALLOFF };
+  } catch (error) {
+    console.error('Invalid stored falloff profile:', error.message);
+    return { ...DEFAULT_FALLOFF };
+  }
+}
+
+module.exports = {
+  DEFAULT_FALLOFF,
+  mergeFalloff,
+  validateFalloff,
+  parseFalloff
+};
@@ -0,0 +1,121 @@
+// Room layouts: walls, furniture and named zones, stored as JSON on the rooms
+// row. Everything is in world coordinates, where the room spans
+// -WORLD_EXTENT..WORLD_EXTENT on x and z. Walls block movement (and sound);
+// furniture and zones are only drawn.
+
+const WORLD_EXTENT = 10;
+const FURNITURE_TYPES = ['table', 'chair', 'sofa', 'desk', 'plant', 'screen'];
+const MAX_WALLS = 100;
+const MAX_FURNITURE = 200;
+const MAX_ZONES = 50;
+const MAX_POINTS = 50;
+const MAX_NAME_LENGTH = 40;
+
+function emptyLayout() {
+  return { walls: [], furniture: [], zones: [] };
+}
+
+function isCoordinate(value) {
+  return Number.isFinite(value) && Math.abs(value) <= WORLD_EXTENT;
+}
+
+function isPointList(points, minPoints) {
+  return Array.isArray(points) &&
+    points.length >= minPoints &&
+    points.length <= MAX_POINTS &&
+    points.every((point) => !!point && isCoordinate(point.x) && isCoordinate(point.z));
+}
+
+// Returns an error message or null
+function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    return 'Layout must be an object with walls, furniture and zones';
+  }
+
+  const { walls = [], furniture = [], zones = [] } = layout;
+
+  if (!Array.isArray(walls) || walls.length > MAX_WALLS) {
+    return `Walls must be a list of at most ${MAX_WALLS}`;
+  }
+
+  if (!walls.every((wall) => wall && isPointList(wall.points, 2))) {
+    return `Each wall needs 2 to ${MAX_POINTS} points with x and z between -${WORLD_EXTENT} and ${WORLD_EXTENT}`;
+  }
+
+  if (!Array.isArray(furniture) || furniture.length > MAX_FURNITURE) {
+    return `Furniture must be a list of at most ${MAX_FURNITURE}`;
+  }
+
+  const badItem = furniture.find((item) => !item ||
+    !FURNITURE_TYPES.includes(item.type) ||
+    !isCoordinate(item.x) || !isCoordinate(item.z) ||
+    !(Number.isFinite(item.width) && item.width > 0 && item.width <= WORLD_EXTENT * 2) ||
+    !(Number.isFinite(item.depth) && item.depth > 0 && item.depth <= WORLD_EXTENT * 2));
+  if (badItem !== undefined) {
+    return `Each furniture item needs a type (${FURNITURE_TYPES.join(', ')}), a position and a positive width and depth`;
+  }
+
+  if (!Array.isArray(zones) || zones.length > MAX_ZONES) {
+    return `Zones must be a list of at most ${MAX_ZONES}`;
+  }
+
+  const badZone = zones.find((zone) => !zone ||
+    typeof zone.name !== 'string' || !zone.name.trim() || zone.name.length > MAX_NAME_LENGTH ||
+    !isPointList(zone.points, 3));
+  if (badZone !== undefined) {
+    return `Each zone needs a name of up to ${MAX_NAME_LENGTH} characters and 3 to ${MAX_POINTS} points`;
+  }
+
+  return null;
+}
+
+// Copy of a validated layout without unknown fields, ready to store
+function normalizeLayout(layout) {
+  const point = ({ x, z }) => ({ x, z });
+
+  return {
+    walls: (layout.walls || []).map((wall) => ({ points: wall.points.map(point) })),
+    furniture: (layout.furniture || []).map(({ type, x, z, width, depth }) => ({ type, x, z, width, depth })),
+    zones: (layout.zones || []).map((zone) => ({ name: zone.name.trim(), points: zone.points.map(point) }))
+  };
+}
+
+// Stored layouts are trusted, but a room without one gets an empty layout
+function parseLayout(text) {
+  if (!text) {
+    return emptyLayout();
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.error('Invalid stored layout:', error.message);
+    return emptyLayout();
+  }
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const cross = (a, b, c) => (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+// Whether moving in a straight line between two positions passes a wall;
+// the same test the client makes before it moves
+function crossesWall(layout, from, to) {
+  return layout.walls.some((wall) => wall.points.some((point, i) =>
+    i > 0 && segmentsIntersect(from, to, wall.points[i - 1], point)));
+}
+
+module.exports = {
+  FURNITURE_TYPES,
+  validateLayout,
+  normalizeLayout,
+  parseLayout,
+  crossesWall
+};
@@ -0,0 +1,112 @@
+// Room access rules (roles, bans and capacity), shared by the REST routes and
+// the socket handlers. The owner is the room's creator; moderators are stored
+// in room_roles and everyone else is a participant.
+
+const ROLE_RANKS = {
+  participant: 0,
+  moderator: 1,
+  owner: 2
+};
+
+// Roles an owner can hand out through the API
+const ASSIGNABLE_ROLES = ['moderator', 'participant'];
+
+// Callback receives (err, role), with a null role when the room does not exist
+function getRoomRole(db, roomId, userId, callback) {
+  db.get(
+    `SELECT r.creator_id, rr.role
+     FROM rooms r
+     LEFT JOIN room_roles rr ON rr.room_id = r.id AND rr.user_id = ?
+     WHERE r.id = ?`,
+    [userId, roomId],
+    (err, row) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!row) {
+        return callback(null, null);
+      }
+
+      if (row.creator_id === userId) {
+        return callback(null, 'owner');
+      }
+
+      callback(null, row.role || 'participant');
+    }
+  );
+}
+
+function isBanned(db, roomId, userId, callback) {
+  db.get(
+    'SELECT 1 FROM room_bans WHERE room_id = ? AND user_id = ?',
+    [roomId, userId],
+    (err, ban) => callback(err, !!ban)
+  );
+}
+
+// Moderators act on participants; owners act on everyone else
+function canModerate(actorRole, targetRole) {
+  return ROLE_RANKS[actorRole] >= ROLE_RANKS.moderator &&
+    ROLE_RANKS[actorRole] > ROLE_RANKS[targetRole];
+}
+
+// Socket.IO room names: every socket of a user in a room, and the room's
+// owner and moderators (who are told about people waiting in the lobby)
+function userChannel(roomId, userId) {
+  return `${roomId}:user:${userId}`;
+}
+
+function moderatorsChannel(roomId) {
+  return `${roomId}:moderators`;
+}
+
+// Whether a room has no space left for the user. The owner always gets in,
+// and so does anyone who already holds a live slot (e.g. after a reload).
+async function isRoomFull(roomStore, room, userId) {
+  if (!room.max_capacity || room.creator_id === userId) {
+    return false;
+  }
+
+  const users = await roomStore.getUsers(room.id);
+  for (const user of users.values()) {
+    if (user.userId === userId) {
+      return false;
+    }
+  }
+
+  return users.size >= room.max_capacity;
+}
+
+// Record the ban and drop the user's membership and role in the room
+function banUser(db, roomId, userId, bannedBy, callback) {
+  db.run(
+    'INSERT OR REPLACE INTO room_bans (room_id, user_id, banned_by) VALUES (?, ?, ?)',
+    [roomId, userId, bannedBy],
+    (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      db.run('DELETE FROM room_roles WHERE room_id = ? AND user_id = ?', [roomId, userId], (err) => {
+        if (err) {
+          return callback(err);
+        }
+
+        db.run('DELETE FROM room_participants WHERE room_id = ? AND user_id = ?', [roomId, userId], callback);
+      });
+    }
+  );
+}
+
+module.exports = {
+  ROLE_RANKS,
+  ASSIGNABLE_ROLES,
+  getRoomRole,
+  isBanned,
+  canModerate,
+  isRoomFull,
+  userChannel,
+  moderatorsChannel,
+  banUser
+};
@@ -0,0 +1,75 @@
+const { isOnStage } = require('./stage');
+
+// Neighbours are only dropped once they are this much further than the
+// hearing radius, so peers standing near the edge don't flap in and out
+const EXIT_RADIUS_FACTOR = 1.25;
+
+function distanceBetween(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// Recompute who can hear whom for the sockets handled by this process.
+// `neighbourSets` maps each local socket id to the Set of peers it is
+// connected to and is updated in place; the result maps socket ids to the
+// changes that socket needs to apply, as { added: [], removed: [] }. Peers on
+// other processes run the same calculation, so links end up symmetric.
+// Whoever is on stage is a neighbour of everyone in the room.
+function updateNeighbours(roomUsers, hearingRadius, neighbourSets) {
+  const changes = new Map();
+  const exitRadius = hearingRadius * EXIT_RADIUS_FACTOR;
+
+  neighbourSets.forEach((neighbours, socketId) => {
+    const user = roomUsers.get(socketId);
+
+    // Users waiting to resume keep their current neighbours until they are back
+    if (!user || user.reconnecting) {
+      return;
+    }
+
+    const change = { added: [], removed: [] };
+
+    // Peers that left the room are torn down by user-left, so drop them quietly
+    neighbours.forEach((peerId) => {
+      if (!roomUsers.has(peerId)) {
+        neighbours.delete(peerId);
+      }
+    });
+
+    roomUsers.forEach((peer, peerId) => {
+      if (peerId === socketId || peer.reconnecting) {
+        return;
+      }
+
+      const distance = distanceBetween(user.position, peer.position);
+      const connected = neighbours.has(peerId);
+      const onStage = isOnStage(user) || isOnStage(peer);
+
+      if (!connected && (distance <= hearingRadius || onStage)) {
+        neighbours.add(peerId);
+        change.added.push(peerId);
+      } else if (connected && distance > exitRadius && !onStage) {
+        neighbours.delete(peerId);
+        change.removed.push(peerId);
+      }
+    });
+
+    if (change.added.length > 0 || change.removed.length > 0) {
+      changes.set(socketId, change);
+    }
+  });
+
+  return changes;
+}
+
+// Forget a socket id in every local set without producing changes;
+// used when the clients already tear the connection down themselves
+function dropNeighbour(neighbourSets, socketId) {
+  neighbourSets.forEach((neighbours) => {
+    neighbours.delete(socketId);
+  });
+}
+
+module.exports = { updateNeighbours, dropNeighbour, distanceBetween, EXIT_RADIUS_FACTOR };
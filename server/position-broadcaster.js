@@ -0,0 +1,86 @@
+// Collects position updates per room and broadcasts them as batched
+// delta snapshots on a fixed tick, instead of fanning out every update.
+function createPositionBroadcaster(io, options = {}) {
+  const tickRate = options.tickRate || 15;
+  const maxUpdatesPerSecond = options.maxUpdatesPerSecond || 30;
+
+  const pending = new Map(); // roomId -> Map(socketId -> position)
+  const rateWindows = new Map(); // socketId -> { start, count }
+
+  // Fixed one-second window per socket; updates over the limit are dropped
+  function isWithinRateLimit(socketId) {
+    const now = Date.now();
+    let window = rateWindows.get(socketId);
+
+    if (!window || now - window.start >= 1000) {
+      window = { start: now, count: 0 };
+      rateWindows.set(socketId, window);
+    }
+
+    window.count++;
+    return window.count <= maxUpdatesPerSecond;
+  }
+
+  // Queue the latest position for the next tick; returns false when rate limited
+  function queue(roomId, socketId, position) {
+    if (!isWithinRateLimit(socketId)) {
+      return false;
+    }
+
+    if (!pending.has(roomId)) {
+      pending.set(roomId, new Map());
+    }
+
+    pending.get(roomId).set(socketId, position);
+    return true;
+  }
+
+  // Drop anything queued for a socket that left or changed id
+  function forget(roomId, socketId) {
+    const roomPending = pending.get(roomId);
+    if (roomPending) {
+      roomPending.delete(socketId);
+    }
+    rateWindows.delete(socketId);
+  }
+
+  function flush() {
+    pending.forEach((roomPending, roomId) => {
+      if (roomPending.size === 0) {
+        return;
+      }
+
+      const positions = [];
+      roomPending.forEach((position, socketId) => {
+        positions.push({ socketId, position });
+      });
+
+      io.to(roomId).emit('positions-snapshot', {
+        timestamp: Date.now(),
+        positions
+      });
+
+      if (options.onFlush) {
+        options.onFlush(roomId, positions);
+      }
+    });
+
+    pending.clear();
+  }
+
+  const timer = setInterval(flush, 1000 / tickRate);
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return {
+    tickRate,
+    queue,
+    forget,
+    flush,
+    stop
+  };
+}
+
+module.exports = { createPositionBroadcaster };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+// Recordings of a room's audio, made in a participant's browser and uploaded
+// in chunks while they record. The audio goes to a file per recording under
+// RECORDINGS_DIR; the recordings table keeps who made it and how far it got.
+
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || 'recordings');
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm'];
+const MAX_CHUNK_SIZE = '10mb';
+
+function getRecordingPath(recordingId) {
+  return path.join(RECORDINGS_DIR, `${recordingId}.webm`);
+}
+
+function toRecording(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    username: row.username,
+    mimeType: row.mime_type,
+    size: row.size,
+    durationMs: row.duration_ms,
+    status: row.status,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+function getRecording(db, roomId, recordingId, callback) {
+  db.get(
+    `SELECT r.*, u.username
+     FROM recordings r
+     LEFT JOIN users u ON r.user_id = u.id
+     WHERE r.id = ? AND r.room_id = ?`,
+    [recordingId, roomId],
+    (err, row) => callback(err, row ? toRecording(row) : null)
+  );
+}
+
+// Start an empty file and its row. Callback receives (err, recording).
+function createRecording(db, recordingId, roomId, userId, mimeType, callback) {
+  fs.mkdir(RECORDINGS_DIR, { recursive: true }, (err) => {
+    if (err) {
+      return callback(err);
+    }
+
+    fs.writeFile(getRecordingPath(recordingId), '', (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      db.run(
+        'INSERT INTO recordings (id, room_id, user_id, mime_type) VALUES (?, ?, ?, ?)',
+        [recordingId, roomId, userId, mimeType],
+        (err) => {
+          if (err) {
+            return callback(err);
+          }
+
+          getRecording(db, roomId, recordingId, callback);
+        }
+      );
+    });
+  });
+}
+
+// Append the chunk with the given index. Chunks must arrive in order: the
+// index is claimed in the database first, so a repeated or skipped chunk
+// is refused instead of corrupting the file. A failed write gives the index
+// back, so the same chunk can be sent again. Callback receives (err, appended).
+function appendChunk(db, recordingId, index, data, callback) {
+  db.run(
+    `UPDATE recordings SET chunk_count = chunk_count + 1, size = size + ?
+     WHERE id = ? AND status = 'recording' AND chunk_count = ?`,
+    [data.length, recordingId, index],
+    function(err) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (this.changes === 0) {
+        return callback(null, false);
+      }
+
+      fs.appendFile(getRecordingPath(recordingId), data, (err) => {
+        if (err) {
+          return releaseChunk(db, recordingId, index, data.length, () => callback(err));
+        }
+
+        callback(null, true);
+      });
+    }
+  );
+}
+
+// Undo the claim on a chunk whose write failed, and cut off whatever part of
+// it made it into the file
+function releaseChunk(db, recordingId, index, length, callback) {
+  db.run(
+    `UPDATE recordings SET chunk_count = chunk_count - 1, size = size - ?
+     WHERE id = ? AND chunk_count = ?`,
+    [length, recordingId, index + 1],
+    (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      db.get('SELECT size FROM recordings WHERE id = ?', [recordingId], (err, row) => {
+        if (err || !row) {
+          return callback(err);
+        }
+
+        fs.truncate(getRecordingPath(recordingId), row.size, callback);
+      });
+    }
+  );
+}
+
+// Mark a recording finished; `durationMs` is null when the recorder never
+// said how long it ran. Callback receives (err, completed).
+function completeRecording(db, recordingId, durationMs, callback) {
+  db.run(
+    `UPDATE recordings SET status = 'complete', duration_ms = ?, completed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'recording'`,
+    [durationMs, recordingId],
+    function(err) {
+      callback(err, !err && this.changes > 0);
+    }
+  );
+}
+
+// Finish whatever a user was still recording in a room, e.g. because they
+// left. Callback receives (err, ids of the recordings that were finished).
+function completeUserRecordings(db, roomId, userId, callback) {
+  db.all(
+    "SELECT id FROM recordings WHERE room_id = ? AND user_id = ? AND status = 'recording'",
+    [roomId, userId],
+    (err, rows) => {
+      if (err || rows.length === 0) {
+        return callback(err, []);
+      }
+
+      const ids = rows.map((row) => row.id);
+      db.run(
+        `UPDATE recordings SET status = 'complete', completed_at = CURRENT_TIMESTAMP
+         WHERE id IN (${ids.map(() => '?').join(', ')}) AND status = 'recording'`,
+        ids,
+        (err) => callback(err, ids)
+      );
+    }
+  );
+}
+
+// Newest first; `activeOnly` limits the list to recordings still in progress
+function listRecordings(db, roomId, activeOnly, callback) {
+  db.all(
+    `SELECT r.*, u.username
+     FROM recordings r
+     LEFT JOIN users u ON r.user_id = u.id
+     WHERE r.room_id = ? ${activeOnly ? "AND r.status = 'recording'" : ''}
+     ORDER BY r.created_at DESC, r.rowid DESC`,
+    [roomId],
+    (err, rows) => callback(err, rows && rows.map(toRecording))
+  );
+}
+
+module.exports = {
+  RECORDING_MIME_TYPES,
+  MAX_CHUNK_SIZE,
+  getRecordingPath,
+  getRecording,
+  createRecording,
+  appendChunk,
+  completeRecording,
+  completeUserRecordings,
+  listRecordings
+};
@@ -1,6 +1,29 @@
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const { v4: uuidv4 } = require('uuid');
+const {
+  ROLE_RANKS,
+  ASSIGNABLE_ROLES,
+  getRoomRole,
+  isBanned,
+  isRoomFull,
+  userChannel,
+  moderatorsChannel
+} = require('../moderation');
+const { listMessages } = require('../chat');
+const {
+  RECORDING_MIME_TYPES,
+  MAX_CHUNK_SIZE,
+  getRecordingPath,
+  getRecording,
+  createRecording,
+  appendChunk,
+  completeRecording,
+  listRecordings
+} = require('../recordings');
+const { listSessions, getSessionStats } = require('../sessions');
+const { validateLayout, normalizeLayout, parseLayout } = require('../layout');
+const { DEFAULT_FALLOFF, mergeFalloff, validateFalloff, parseFalloff } = require('../falloff');
 const router = express.Router();
 
 const db = new sqlite3.Database('./spatial_meet.db');
@@ -13,9 +36,85 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
+// Middleware to check the user holds at least the given role in the room
+const requireRoomRole = (minRole) => (req, res, next) => {
+  getRoomRole(db, req.params.roomId, req.session.userId, (err, role) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!role) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (ROLE_RANKS[role] < ROLE_RANKS[minRole]) {
+      return res.status(403).json({ error: `Only a room ${minRole} can do this` });
+    }
+
+    req.roomRole = role;
+    next();
+  });
+};
+
+// Middleware to check the user is the room's owner or one of its members
+const requireMembership = (req, res, next) => {
+  db.get(
+    `SELECT r.creator_id, rp.user_id AS member_id
+     FROM rooms r
+     LEFT JOIN room_participants rp ON rp.room_id = r.id AND rp.user_id = ?
+     WHERE r.id = ?`,
+    [req.session.userId, req.params.roomId],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!row) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      if (row.creator_id !== req.session.userId && !row.member_id) {
+        return res.status(403).json({ error: 'You are not a member of this room' });
+      }
+
+      next();
+    }
+  );
+};
+
+const DEFAULT_HEARING_RADIUS = 8;
+const MAX_HEARING_RADIUS = 50;
+const MEDIA_MODES = ['mesh', 'sfu', 'auto'];
+const DEFAULT_SFU_THRESHOLD = 8;
+// Reverb presets; clients generate the matching impulse responses
+const ACOUSTIC_PRESETS = ['small-office', 'conference-hall', 'cafe', 'outdoors'];
+const DEFAULT_ACOUSTICS = 'small-office';
+
+// Validate the capacity/admission settings; returns an error message or null
+function validateAccessSettings(maxCapacity, requireAdmission) {
+  if (maxCapacity !== null && !(Number.isInteger(maxCapacity) && maxCapacity >= 2)) {
+    return 'Max capacity must be a whole number of at least 2';
+  }
+
+  if (typeof requireAdmission !== 'boolean') {
+    return 'Require admission must be true or false';
+  }
+
+  return null;
+}
+
 // Create a new room
 router.post('/create', requireAuth, (req, res) => {
   const { name } = req.body;
+  const hearingRadius = req.body.hearingRadius === undefined ?
+    DEFAULT_HEARING_RADIUS : Number(req.body.hearingRadius);
+  const mediaMode = req.body.mediaMode || 'mesh';
+  const sfuThreshold = req.body.sfuThreshold === undefined ?
+    DEFAULT_SFU_THRESHOLD : Number(req.body.sfuThreshold);
+  const maxCapacity = req.body.maxCapacity == null ? null : Number(req.body.maxCapacity);
+  const requireAdmission = req.body.requireAdmission === undefined ? false : req.body.requireAdmission;
+  const acoustics = req.body.acoustics || DEFAULT_ACOUSTICS;
+  const falloff = mergeFalloff(DEFAULT_FALLOFF, req.body.falloff);
   const roomId = uuidv4();
   const creatorId = req.session.userId;
 
@@ -23,9 +122,37 @@ router.post('/create', requireAuth, (req, res) => {
     return res.status(400).json({ error: 'Room name is required' });
   }
 
+  if (!(hearingRadius > 0 && hearingRadius <= MAX_HEARING_RADIUS)) {
+    return res.status(400).json({ error: `Hearing radius must be between 0 and ${MAX_HEARING_RADIUS}` });
+  }
+
+  if (!MEDIA_MODES.includes(mediaMode)) {
+    return res.status(400).json({ error: `Media mode must be one of: ${MEDIA_MODES.join(', ')}` });
+  }
+
+  if (!(Number.isInteger(sfuThreshold) && sfuThreshold >= 2)) {
+    return res.status(400).json({ error: 'SFU threshold must be a whole number of at least 2' });
+  }
+
+  const accessError = validateAccessSettings(maxCapacity, requireAdmission);
+  if (accessError) {
+    return res.status(400).json({ error: accessError });
+  }
+
+  if (!ACOUSTIC_PRESETS.includes(acoustics)) {
+    return res.status(400).json({ error: `Acoustics must be one of: ${ACOUSTIC_PRESETS.join(', ')}` });
+  }
+
+  const falloffError = validateFalloff(falloff);
+  if (falloffError) {
+    return res.status(400).json({ error: falloffError });
+  }
+
   db.run(
-    'INSERT INTO rooms (id, name, creator_id) VALUES (?, ?, ?)',
-    [roomId, name, creatorId],
+    `INSERT INTO rooms (id, name, creator_id, hearing_radius, media_mode, sfu_threshold, max_capacity, require_admission, acoustics, falloff)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [roomId, name, creatorId, hearingRadius, mediaMode, sfuThreshold, maxCapacity, requireAdmission ? 1 : 0,
+      acoustics, JSON.stringify(falloff)],
     function(err) {
       if (err) {
         return res.status(500).json({ error: 'Failed to create room' });
@@ -36,7 +163,14 @@ router.post('/create', requireAuth, (req, res) => {
         room: {
           id: roomId,
           name,
-          creatorId
+          creatorId,
+          hearingRadius,
+          mediaMode,
+          sfuThreshold,
+          maxCapacity,
+          requireAdmission,
+          acoustics,
+          falloff
         }
       });
     }
@@ -66,6 +200,13 @@ router.get('/:roomId', (req, res) => {
           name: room.name,
           creatorId: room.creator_id,
           creatorName: room.creator_name,
+          hearingRadius: room.hearing_radius,
+          mediaMode: room.media_mode,
+          sfuThreshold: room.sfu_threshold,
+          maxCapacity: room.max_capacity,
+          requireAdmission: !!room.require_admission,
+          acoustics: room.acoustics,
+          falloff: parseFalloff(room.falloff),
           createdAt: room.created_at
         }
       });
@@ -73,6 +214,117 @@ router.get('/:roomId', (req, res) => {
   );
 });
 
+// Change who can get in: max capacity (null for no limit) and whether the
+// owner or a moderator has to admit people, and how the room sounds: its
+// acoustics preset and distance falloff profile (owner only)
+router.put('/:roomId/settings', requireAuth, requireRoomRole('owner'), (req, res) => {
+  const { roomId } = req.params;
+
+  db.get('SELECT * FROM rooms WHERE id = ?', [roomId], (err, room) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    // Unspecified settings keep their current value
+    const maxCapacity = req.body.maxCapacity === undefined ? room.max_capacity :
+      req.body.maxCapacity === null ? null : Number(req.body.maxCapacity);
+    const requireAdmission = req.body.requireAdmission === undefined ?
+      !!room.require_admission : req.body.requireAdmission;
+    const acoustics = req.body.acoustics === undefined ? room.acoustics : req.body.acoustics;
+    const currentFalloff = parseFalloff(room.falloff);
+    const falloff = mergeFalloff(currentFalloff, req.body.falloff);
+
+    const accessError = validateAccessSettings(maxCapacity, requireAdmission);
+    if (accessError) {
+      return res.status(400).json({ error: accessError });
+    }
+
+    if (!ACOUSTIC_PRESETS.includes(acoustics)) {
+      return res.status(400).json({ error: `Acoustics must be one of: ${ACOUSTIC_PRESETS.join(', ')}` });
+    }
+
+    const falloffError = validateFalloff(falloff);
+    if (falloffError) {
+      return res.status(400).json({ error: falloffError });
+    }
+
+    db.run(
+      'UPDATE rooms SET max_capacity = ?, require_admission = ?, acoustics = ?, falloff = ? WHERE id = ?',
+      [maxCapacity, requireAdmission ? 1 : 0, acoustics, JSON.stringify(falloff), roomId],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to update room settings' });
+        }
+
+        // Everyone in the room switches over straight away
+        const io = req.app.get('io');
+        if (acoustics !== room.acoustics) {
+          io.to(roomId).emit('acoustics-updated', { acoustics });
+        }
+        if (JSON.stringify(falloff) !== JSON.stringify(currentFalloff)) {
+          io.to(roomId).emit('falloff-updated', { falloff });
+        }
+        // Nobody needs to be let in any more, so nobody is left waiting
+        if (room.require_admission && !requireAdmission) {
+          req.app.get('admitLobby')(roomId).catch((error) => {
+            console.error('Failed to admit the lobby:', error);
+          });
+        }
+
+        res.json({
+          success: true,
+          settings: {
+            maxCapacity,
+            requireAdmission,
+            acoustics,
+            falloff
+          }
+        });
+      }
+    );
+  });
+});
+
+// Walls, furniture and zones drawn on the room's map
+router.get('/:roomId/layout', requireAuth, requireMembership, (req, res) => {
+  db.get('SELECT layout FROM rooms WHERE id = ?', [req.params.roomId], (err, room) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    res.json({
+      success: true,
+      layout: parseLayout(room.layout)
+    });
+  });
+});
+
+// Replace the room's layout and show it to everyone in the room (owner only)
+router.put('/:roomId/layout', requireAuth, requireRoomRole('owner'), (req, res) => {
+  const { roomId } = req.params;
+
+  const layoutError = validateLayout(req.body);
+  if (layoutError) {
+    return res.status(400).json({ error: layoutError });
+  }
+
+  const layout = normalizeLayout(req.body);
+
+  db.run('UPDATE rooms SET layout = ? WHERE id = ?', [JSON.stringify(layout), roomId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to save layout' });
+    }
+
+    req.app.get('updateRoomLayout')(roomId, layout);
+    req.app.get('io').to(roomId).emit('layout-updated', { layout });
+
+    res.json({
+      success: true,
+      layout
+    });
+  });
+});
+
 // Join a room
 router.post('/:roomId/join', requireAuth, (req, res) => {
   const { roomId } = req.params;
@@ -88,49 +340,75 @@ router.post('/:roomId/join', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'Room not found' });
     }
 
-    // Check if user is already in the room
-    db.get(
-      'SELECT * FROM room_participants WHERE room_id = ? AND user_id = ?',
-      [roomId, userId],
-      (err, participant) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
+    isBanned(db, roomId, userId, (err, banned) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      // The owner can't be banned from their own room
+      if (banned && room.creator_id !== userId) {
+        return res.status(403).json({ error: 'You are banned from this room' });
+      }
+
+      isRoomFull(req.app.get('roomStore'), room, userId)
+        .then((full) => {
+          if (full) {
+            return res.status(409).json({ error: 'Room is full' });
+          }
+
+          addParticipant(res, room, userId);
+        })
+        .catch(() => res.status(500).json({ error: 'Database error' }));
+    });
+  });
+});
+
+// Record the user as a member of the room (no-op if they already are)
+function addParticipant(res, room, userId) {
+  const roomId = room.id;
+
+  // Check if user is already in the room
+  db.get(
+    'SELECT * FROM room_participants WHERE room_id = ? AND user_id = ?',
+    [roomId, userId],
+    (err, participant) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (participant) {
+        return res.json({
+          success: true,
+          message: 'Already in room',
+          room: {
+            id: room.id,
+            name: room.name
+          }
+        });
+      }
 
-        if (participant) {
-          return res.json({
+      // Add user to room
+      db.run(
+        'INSERT INTO room_participants (room_id, user_id) VALUES (?, ?)',
+        [roomId, userId],
+        function(err) {
+          if (err) {
+            return res.status(500).json({ error: 'Failed to join room' });
+          }
+
+          res.json({
             success: true,
-            message: 'Already in room',
+            message: 'Joined room successfully',
             room: {
               id: room.id,
               name: room.name
             }
           });
         }
-
-        // Add user to room
-        db.run(
-          'INSERT INTO room_participants (room_id, user_id) VALUES (?, ?)',
-          [roomId, userId],
-          function(err) {
-            if (err) {
-              return res.status(500).json({ error: 'Failed to join room' });
-            }
-
-            res.json({
-              success: true,
-              message: 'Joined room successfully',
-              room: {
-                id: room.id,
-                name: room.name
-              }
-            });
-          }
-        );
-      }
-    );
-  });
-});
+      );
+    }
+  );
+}
 
 // Leave a room
 router.post('/:roomId/leave', requireAuth, (req, res) => {
@@ -153,6 +431,362 @@ router.post('/:roomId/leave', requireAuth, (req, res) => {
   );
 });
 
+// List everyone's role in the room
+router.get('/:roomId/roles', requireAuth, (req, res) => {
+  const { roomId } = req.params;
+
+  db.all(
+    `SELECT u.id AS user_id, u.username,
+       CASE WHEN u.id = r.creator_id THEN 'owner' ELSE COALESCE(rr.role, 'participant') END AS role
+     FROM rooms r
+     JOIN users u ON u.id = r.creator_id
+       OR u.id IN (SELECT user_id FROM room_participants WHERE room_id = r.id)
+     LEFT JOIN room_roles rr ON rr.room_id = r.id AND rr.user_id = u.id
+     WHERE r.id = ?
+     ORDER BY u.username`,
+    [roomId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      res.json({
+        success: true,
+        roles: rows.map((row) => ({
+          userId: row.user_id,
+          username: row.username,
+          role: row.role
+        }))
+      });
+    }
+  );
+});
+
+// Promote a member to moderator or demote them again (owner only)
+router.put('/:roomId/roles/:userId', requireAuth, requireRoomRole('owner'), (req, res) => {
+  const { roomId } = req.params;
+  const userId = Number(req.params.userId);
+  const { role } = req.body;
+
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+  }
+
+  if (userId === req.session.userId) {
+    return res.status(400).json({ error: 'The owner\'s role cannot be changed' });
+  }
+
+  db.get(
+    'SELECT * FROM room_participants WHERE room_id = ? AND user_id = ?',
+    [roomId, userId],
+    (err, participant) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!participant) {
+        return res.status(404).json({ error: 'User is not a member of this room' });
+      }
+
+      // Participants are everyone without a row
+      const sql = role === 'participant' ?
+        'DELETE FROM room_roles WHERE room_id = ? AND user_id = ?' :
+        'INSERT OR REPLACE INTO room_roles (room_id, user_id, role) VALUES (?, ?, ?)';
+      const params = role === 'participant' ? [roomId, userId] : [roomId, userId, role];
+
+      db.run(sql, params, function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to update role' });
+        }
+
+        // Let connected clients update which moderation actions they show,
+        // and start or stop sending the user lobby requests
+        const io = req.app.get('io');
+        const userSockets = io.in(userChannel(roomId, userId));
+        if (role === 'moderator') {
+          userSockets.socketsJoin(moderatorsChannel(roomId));
+          req.app.get('getLobbyList')(roomId)
+            .then((waiting) => userSockets.emit('lobby-update', { waiting }))
+            .catch((error) => {
+              console.error('Failed to send the lobby:', error);
+            });
+        } else {
+          userSockets.socketsLeave(moderatorsChannel(roomId));
+          userSockets.emit('lobby-update', { waiting: [] });
+        }
+        io.to(roomId).emit('role-updated', { userId, role });
+
+        res.json({
+          success: true,
+          userId,
+          role
+        });
+      });
+    }
+  );
+});
+
+// List banned users (moderators and owner)
+router.get('/:roomId/bans', requireAuth, requireRoomRole('moderator'), (req, res) => {
+  const { roomId } = req.params;
+
+  db.all(
+    `SELECT b.user_id, u.username, b.banned_by, b.created_at
+     FROM room_bans b
+     LEFT JOIN users u ON b.user_id = u.id
+     WHERE b.room_id = ?
+     ORDER BY b.created_at DESC`,
+    [roomId],
+    (err, bans) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      res.json({
+        success: true,
+        bans: bans.map((ban) => ({
+          userId: ban.user_id,
+          username: ban.username,
+          bannedBy: ban.banned_by,
+          createdAt: ban.created_at
+        }))
+      });
+    }
+  );
+});
+
+// Lift a ban; the user has to join the room again afterwards
+router.delete('/:roomId/bans/:userId', requireAuth, requireRoomRole('moderator'), (req, res) => {
+  const { roomId } = req.params;
+  const userId = Number(req.params.userId);
+
+  db.run(
+    'DELETE FROM room_bans WHERE room_id = ? AND user_id = ?',
+    [roomId, userId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'User is not banned from this room' });
+      }
+
+      res.json({
+        success: true,
+        message: 'Ban lifted'
+      });
+    }
+  );
+});
+
+// Page through chat history, newest first (`before` = oldest message id loaded, `limit` up to 100)
+router.get('/:roomId/messages', requireAuth, requireMembership, (req, res) => {
+  listMessages(db, req.params.roomId, req.session.userId, req.query, (err, page) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    res.json({
+      success: true,
+      messages: page.messages,
+      hasMore: page.hasMore
+    });
+  });
+});
+
+// Middleware to load a recording of the room into req.recording
+const loadRecording = (req, res, next) => {
+  getRecording(db, req.params.roomId, req.params.recordingId, (err, recording) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    req.recording = recording;
+    next();
+  });
+};
+
+// Only the person recording may add to or finish a recording
+const requireRecorder = (req, res, next) => {
+  if (req.recording.userId !== req.session.userId) {
+    return res.status(403).json({ error: 'Only the person recording can do this' });
+  }
+
+  if (req.recording.status !== 'recording') {
+    return res.status(409).json({ error: 'Recording has already finished' });
+  }
+
+  next();
+};
+
+// Recordings of the room, newest first
+router.get('/:roomId/recordings', requireAuth, requireMembership, (req, res) => {
+  listRecordings(db, req.params.roomId, false, (err, recordings) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    res.json({
+      success: true,
+      recordings
+    });
+  });
+});
+
+// Start recording; only someone who is in the room right now can, and
+// everyone there is told about it
+router.post('/:roomId/recordings', requireAuth, requireMembership, (req, res) => {
+  const { roomId } = req.params;
+  const userId = req.session.userId;
+  const mimeType = req.body.mimeType || RECORDING_MIME_TYPES[0];
+
+  if (!RECORDING_MIME_TYPES.includes(mimeType)) {
+    return res.status(400).json({ error: `Mime type must be one of: ${RECORDING_MIME_TYPES.join(', ')}` });
+  }
+
+  req.app.get('roomStore').getUsers(roomId)
+    .then((users) => {
+      if (!Array.from(users.values()).some((user) => user.userId === userId)) {
+        return res.status(409).json({ error: 'Join the room before recording' });
+      }
+
+      createRecording(db, uuidv4(), roomId, userId, mimeType, (err, recording) => {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to start recording' });
+        }
+
+        req.app.get('io').to(roomId).emit('recording-started', { recording });
+
+        res.json({
+          success: true,
+          recording
+        });
+      });
+    })
+    .catch(() => res.status(500).json({ error: 'Database error' }));
+});
+
+// Upload the next chunk of audio as the raw request body; `index` counts from 0
+router.post(
+  '/:roomId/recordings/:recordingId/chunks',
+  requireAuth,
+  loadRecording,
+  requireRecorder,
+  express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+  (req, res) => {
+    const index = Number(req.query.index);
+
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Chunk index must be a non-negative integer' });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Chunk is empty' });
+    }
+
+    appendChunk(db, req.recording.id, index, req.body, (err, appended) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to save chunk' });
+      }
+
+      if (!appended) {
+        return res.status(409).json({ error: 'Chunks must be uploaded once each, in order' });
+      }
+
+      res.json({
+        success: true,
+        index
+      });
+    });
+  }
+);
+
+// Stop recording once the last chunk is in
+router.post('/:roomId/recordings/:recordingId/complete', requireAuth, loadRecording, requireRecorder, (req, res) => {
+  const { roomId } = req.params;
+  const durationMs = req.body.durationMs === undefined ? null : req.body.durationMs;
+
+  if (durationMs !== null && !(Number.isInteger(durationMs) && durationMs >= 0)) {
+    return res.status(400).json({ error: 'Duration must be a non-negative whole number of milliseconds' });
+  }
+
+  completeRecording(db, req.recording.id, durationMs, (err, completed) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!completed) {
+      return res.status(409).json({ error: 'Recording has already finished' });
+    }
+
+    req.app.get('io').to(roomId).emit('recording-stopped', { recordingId: req.recording.id });
+
+    res.json({
+      success: true,
+      message: 'Recording saved'
+    });
+  });
+});
+
+// Download a finished recording (room members)
+router.get('/:roomId/recordings/:recordingId/download', requireAuth, requireMembership, loadRecording, (req, res) => {
+  const { recording } = req;
+
+  if (recording.status !== 'complete') {
+    return res.status(409).json({ error: 'Recording is still in progress' });
+  }
+
+  const started = String(recording.createdAt).replace(/[^0-9]/g, '').slice(0, 14);
+  res.download(getRecordingPath(recording.id), `recording-${started}.webm`, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: 'Recording file not found' });
+    }
+  });
+});
+
+// Past and current meetings in the room, newest first (`limit` up to 100, default 20)
+router.get('/:roomId/sessions', requireAuth, requireMembership, (req, res) => {
+  listSessions(db, req.params.roomId, req.query, (err, sessions) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    res.json({
+      success: true,
+      sessions
+    });
+  });
+});
+
+// Attendance, time in the room, talk time and who was near whom in one session
+router.get('/:roomId/sessions/:sessionId/stats', requireAuth, requireMembership, (req, res) => {
+  const sessionId = Number(req.params.sessionId);
+
+  if (!Number.isInteger(sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  getSessionStats(db, req.params.roomId, sessionId, (err, stats) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!stats) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  });
+});
+
 // Get user's rooms
 router.get('/user/rooms', requireAuth, (req, res) => {
   const userId = req.session.userId;
@@ -0,0 +1,102 @@
+const express = require('express');
+const sqlite3 = require('sqlite3').verbose();
+const router = express.Router();
+
+const db = new sqlite3.Database('./spatial_meet.db');
+
+// Middleware to check authentication
+const requireAuth = (req, res, next) => {
+  if (!req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+// Local volume is a multiplier on top of the spatial gain
+const MAX_LOCAL_VOLUME = 2;
+
+// Returns an error message or null
+function validateAudioSettings(volume, muted) {
+  if (!(Number.isFinite(volume) && volume >= 0 && volume <= MAX_LOCAL_VOLUME)) {
+    return `Volume must be between 0 and ${MAX_LOCAL_VOLUME}`;
+  }
+
+  if (typeof muted !== 'boolean') {
+    return 'Muted must be true or false';
+  }
+
+  return null;
+}
+
+// How the current user hears each other user, keyed by their user id
+router.get('/me/audio-settings', requireAuth, (req, res) => {
+  db.all(
+    'SELECT target_user_id, volume, muted FROM user_audio_settings WHERE user_id = ?',
+    [req.session.userId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      const settings = {};
+      rows.forEach((row) => {
+        settings[row.target_user_id] = { volume: row.volume, muted: !!row.muted };
+      });
+
+      res.json({
+        success: true,
+        settings
+      });
+    }
+  );
+});
+
+// Set the local volume and/or "mute for me" for another user; fields left out keep their value
+router.put('/me/audio-settings/:targetUserId', requireAuth, (req, res) => {
+  const userId = req.session.userId;
+  const targetUserId = Number(req.params.targetUserId);
+
+  if (!Number.isInteger(targetUserId) || targetUserId === userId) {
+    return res.status(400).json({ error: 'Invalid target user' });
+  }
+
+  db.get(
+    `SELECT u.id, s.volume, s.muted
+     FROM users u
+     LEFT JOIN user_audio_settings s ON s.target_user_id = u.id AND s.user_id = ?
+     WHERE u.id = ?`,
+    [userId, targetUserId],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!row) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { volume = row.volume === null ? 1 : row.volume, muted = !!row.muted } = req.body;
+      const validationError = validateAudioSettings(volume, muted);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      db.run(
+        'INSERT OR REPLACE INTO user_audio_settings (user_id, target_user_id, volume, muted) VALUES (?, ?, ?, ?)',
+        [userId, targetUserId, volume, muted ? 1 : 0],
+        (err) => {
+          if (err) {
+            return res.status(500).json({ error: 'Database error' });
+          }
+
+          res.json({
+            success: true,
+            settings: { targetUserId, volume, muted }
+          });
+        }
+      );
+    }
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const { distanceBetween } = require('./neighbours');
+
+// Meeting history. A session runs from the first person entering an empty
+// room until the last one leaves; while it runs, joins, leaves, dropped
+// connections and resumes, mute changes, speaking changes and periodic
+// position samples are logged as session events. Times are milliseconds since the epoch.
+
+const SAMPLE_INTERVAL_MS = parseInt(process.env.SESSION_SAMPLE_INTERVAL_MS, 10) || 5000;
+const DEFAULT_HEARING_RADIUS = 8;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Close a session the room still has open although nobody is in it, e.g.
+// after a server restart; it ended with its last event
+function closeStaleSessions(db, roomId, callback) {
+  db.run(
+    `UPDATE room_sessions
+     SET ended_at = COALESCE((SELECT MAX(at) FROM session_events WHERE session_id = room_sessions.id), started_at)
+     WHERE room_id = ? AND ended_at IS NULL`,
+    [roomId],
+    callback
+  );
+}
+
+// Log an event in the room's open session; does nothing when none is open
+function logEvent(db, roomId, userId, type, data, at, callback) {
+  db.run(
+    `INSERT INTO session_events (session_id, user_id, type, data, at)
+     SELECT id, ?, ?, ?, ? FROM room_sessions WHERE room_id = ? AND ended_at IS NULL`,
+    [userId, type, data ? JSON.stringify(data) : null, at, roomId],
+    callback
+  );
+}
+
+// Someone entered the room; `firstInRoom` starts a new session
+function logJoin(db, roomId, userId, firstInRoom, at, callback) {
+  const start = (done) => (firstInRoom ? closeStaleSessions(db, roomId, done) : done(null));
+
+  start((err) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Also covers rooms that were already live before sessions were logged
+    db.run(
+      `INSERT INTO room_sessions (room_id, started_at, sample_interval_ms)
+       SELECT ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM room_sessions WHERE room_id = ? AND ended_at IS NULL)`,
+      [roomId, at, SAMPLE_INTERVAL_MS, roomId],
+      (err) => {
+        if (err) {
+          return callback(err);
+        }
+
+        logEvent(db, roomId, userId, 'join', null, at, callback);
+      }
+    );
+  });
+}
+
+// Someone left the room for good; `lastOut` ends the session
+function logLeave(db, roomId, userId, lastOut, at, callback) {
+  logEvent(db, roomId, userId, 'leave', null, at, (err) => {
+    if (err || !lastOut) {
+      return callback(err);
+    }
+
+    db.run('UPDATE room_sessions SET ended_at = ? WHERE room_id = ? AND ended_at IS NULL', [at, roomId], callback);
+  });
+}
+
+// `samples` holds { userId, position } for each person to record
+function logPositions(db, roomId, samples, at, callback) {
+  if (samples.length === 0) {
+    return callback(null);
+  }
+
+  db.get('SELECT id FROM room_sessions WHERE room_id = ? AND ended_at IS NULL', [roomId], (err, session) => {
+    if (err || !session) {
+      return callback(err);
+    }
+
+    const params = [];
+    samples.forEach(({ userId, position }) => {
+      params.push(session.id, userId, JSON.stringify({ x: position.x, z: position.z }), at);
+    });
+
+    db.run(
+      `INSERT INTO session_events (session_id, user_id, type, data, at)
+       VALUES ${samples.map(() => "(?, ?, 'position', ?, ?)").join(', ')}`,
+      params,
+      callback
+    );
+  });
+}
+
+function toSession(row) {
+  return {
+    id: row.id,
+    startedAt: new Date(row.started_at).toISOString(),
+    endedAt: row.ended_at === null ? null : new Date(row.ended_at).toISOString(),
+    durationMs: (row.ended_at === null ? Date.now() : row.ended_at) - row.started_at,
+    participantCount: row.participant_count
+  };
+}
+
+// The room's sessions, newest first (`limit` up to 100)
+function listSessions(db, roomId, options, callback) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  db.all(
+    `SELECT s.id, s.started_at, s.ended_at, COUNT(DISTINCT e.user_id) AS participant_count
+     FROM room_sessions s
+     LEFT JOIN session_events e ON e.session_id = s.id AND e.type = 'join'
+     WHERE s.room_id = ?
+     GROUP BY s.id
+     ORDER BY s.started_at DESC, s.id DESC
+     LIMIT ?`,
+    [roomId, limit],
+    (err, rows) => callback(err, rows && rows.map(toSession))
+  );
+}
+
+// Work out attendance, time in the room and talk time per participant, and
+// how long each pair spent within hearing range of each other. Spans still
+// open at the end (the session's end, or now while it runs) are cut off there.
+function computeSessionStats(session, events, hearingRadius, now = Date.now()) {
+  const end = session.ended_at === null ? now : session.ended_at;
+  const participants = new Map(); // userId -> running totals
+  const samples = new Map(); // sample slot -> Map of userId -> position
+  let present = 0;
+  let peakParticipants = 0;
+
+  const getParticipant = (event) => {
+    if (!participants.has(event.user_id)) {
+      participants.set(event.user_id, {
+        userId: event.user_id,
+        username: event.username,
+        firstJoinedAt: null,
+        lastLeftAt: null,
+        presentMs: 0,
+        talkMs: 0,
+        muteCount: 0,
+        muted: false,
+        joinedAt: null, // start of the stay in progress
+        speakingSince: null
+      });
+    }
+    return participants.get(event.user_id);
+  };
+
+  const stopSpeaking = (participant, at) => {
+    if (participant.speakingSince !== null) {
+      participant.talkMs += at - participant.speakingSince;
+      participant.speakingSince = null;
+    }
+  };
+
+  const leave = (participant, at) => {
+    stopSpeaking(participant, at);
+    if (participant.joinedAt !== null) {
+      participant.presentMs += at - participant.joinedAt;
+      participant.joinedAt = null;
+      present--;
+    }
+  };
+
+  events.forEach((event) => {
+    const participant = getParticipant(event);
+    const data = event.data ? JSON.parse(event.data) : {};
+    // People leaving together may be logged just after the session ended
+    const at = Math.min(event.at, end);
+
+    switch (event.type) {
+      case 'join':
+        if (participant.joinedAt === null) {
+          participant.joinedAt = at;
+          participant.firstJoinedAt = participant.firstJoinedAt === null ? at : participant.firstJoinedAt;
+          participant.muted = false;
+          peakParticipants = Math.max(peakParticipants, ++present);
+        }
+        break;
+      case 'leave':
+        // Someone who dropped out and never came back left when they dropped
+        if (participant.joinedAt !== null || participant.lastLeftAt === null) {
+          participant.lastLeftAt = at;
+        }
+        leave(participant, at);
+        break;
+      case 'disconnect':
+        leave(participant, at);
+        participant.lastLeftAt = at;
+        break;
+      case 'resume':
+        if (participant.joinedAt === null) {
+          participant.joinedAt = at;
+          peakParticipants = Math.max(peakParticipants, ++present);
+        }
+        break;
+      case 'mute':
+        if (data.muted && !participant.muted) {
+          participant.muteCount++;
+          stopSpeaking(participant, at);
+        }
+        participant.muted = !!data.muted;
+        break;
+      case 'speaking':
+        if (!data.speaking) {
+          stopSpeaking(participant, at);
+        } else if (participant.speakingSince === null) {
+          participant.speakingSince = at;
+        }
+        break;
+      case 'position': {
+        const slot = Math.floor(event.at / session.sample_interval_ms);
+        if (!samples.has(slot)) {
+          samples.set(slot, new Map());
+        }
+        samples.get(slot).set(event.user_id, { x: data.x, y: 0, z: data.z });
+        break;
+      }
+    }
+  });
+
+  participants.forEach((participant) => leave(participant, end));
+
+  // Every sample slot in which two people were within range counts as one
+  // sample interval spent near each other
+  const proximity = {};
+  participants.forEach((participant) => {
+    proximity[participant.userId] = {};
+  });
+  samples.forEach((positions) => {
+    const sampled = Array.from(positions.entries());
+    for (let i = 0; i < sampled.length; i++) {
+      for (let j = i + 1; j < sampled.length; j++) {
+        const [a, positionA] = sampled[i];
+        const [b, positionB] = sampled[j];
+        if (distanceBetween(positionA, positionB) <= hearingRadius) {
+          proximity[a][b] = (proximity[a][b] || 0) + session.sample_interval_ms;
+          proximity[b][a] = (proximity[b][a] || 0) + session.sample_interval_ms;
+        }
+      }
+    }
+  });
+
+  const totalTalkMs = Array.from(participants.values()).reduce((sum, participant) => sum + participant.talkMs, 0);
+
+  return {
+    session: toSession({ ...session, participant_count: participants.size }),
+    attendance: participants.size,
+    peakParticipants,
+    totalTalkMs,
+    participants: Array.from(participants.values()).map((participant) => ({
+      userId: participant.userId,
+      username: participant.username,
+      firstJoinedAt: participant.firstJoinedAt === null ? null : new Date(participant.firstJoinedAt).toISOString(),
+      lastLeftAt: participant.lastLeftAt === null ? null : new Date(participant.lastLeftAt).toISOString(),
+      presentMs: participant.presentMs,
+      talkMs: participant.talkMs,
+      talkShare: totalTalkMs > 0 ? participant.talkMs / totalTalkMs : 0,
+      muteCount: participant.muteCount
+    })),
+    proximity
+  };
+}
+
+// Callback receives (err, stats), with null stats when the session is not the room's
+function getSessionStats(db, roomId, sessionId, callback) {
+  db.get(
+    `SELECT s.*, r.hearing_radius
+     FROM room_sessions s
+     JOIN rooms r ON r.id = s.room_id
+     WHERE s.id = ? AND s.room_id = ?`,
+    [sessionId, roomId],
+    (err, session) => {
+      if (err || !session) {
+        return callback(err, null);
+      }
+
+      db.all(
+        `SELECT e.user_id, e.type, e.data, e.at, u.username
+         FROM session_events e
+         LEFT JOIN users u ON e.user_id = u.id
+         WHERE e.session_id = ?
+         ORDER BY e.at, e.id`,
+        [session.id],
+        (err, events) => {
+          if (err) {
+            return callback(err);
+          }
+
+          callback(null, computeSessionStats(session, events, session.hearing_radius || DEFAULT_HEARING_RADIUS));
+        }
+      );
+    }
+  );
+}
+
+module.exports = {
+  SAMPLE_INTERVAL_MS,
+  logEvent,
+  logJoin,
+  logLeave,
+  logPositions,
+  listSessions,
+  getSessionStats
+};
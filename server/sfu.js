@@ -0,0 +1,235 @@
+const {
+  RTCPeerConnection,
+  RTCRtpCodecParameters,
+  MediaStreamTrack
+} = require('werift');
+
+// Selective forwarding unit built on werift, a pure-JavaScript WebRTC stack.
+// Each client holds a single connection to the server: it publishes its
+// microphone on one transceiver and receives forwarded tracks on the others.
+// The server always makes the offer, so renegotiation only runs one way.
+
+const NEGOTIATION_TIMEOUT_MS = 10000;
+
+function createSfu(options = {}) {
+  const iceServers = options.iceServers || [];
+  const sessions = new Map(); // socketId -> session
+
+  function createPeerConnection() {
+    // One fixed codec list keeps payload types identical on every connection,
+    // so packets can be forwarded without rewriting
+    return new RTCPeerConnection({
+      iceServers,
+      codecs: {
+        audio: [
+          new RTCRtpCodecParameters({
+            mimeType: 'audio/opus',
+            clockRate: 48000,
+            channels: 2
+          })
+        ]
+      }
+    });
+  }
+
+  function join(socket) {
+    if (sessions.has(socket.id)) {
+      return;
+    }
+
+    const pc = createPeerConnection();
+    const session = {
+      socketId: socket.id,
+      socket,
+      pc,
+      publishTransceiver: pc.addTransceiver('audio', { direction: 'recvonly' }),
+      track: null, // the published microphone track, once received
+      subscriptions: new Map(), // publisherId -> { transceiver, rtpSubscription }
+      wanted: new Set(), // publishers to forward as soon as their track arrives
+      negotiation: Promise.resolve(),
+      renegotiationQueued: false,
+      pendingAnswer: null
+    };
+
+    session.publishTransceiver.onTrack.subscribe((track) => {
+      session.track = track;
+
+      // Serve everyone who asked for this publisher before it was publishing
+      sessions.forEach((subscriber) => {
+        if (subscriber.wanted.delete(session.socketId)) {
+          forward(subscriber, session);
+        }
+      });
+    });
+
+    pc.onIceCandidate.subscribe((candidate) => {
+      if (candidate) {
+        socket.emit('sfu-ice-candidate', { candidate: candidate.toJSON() });
+      }
+    });
+
+    sessions.set(socket.id, session);
+    renegotiate(session);
+  }
+
+  function leave(socketId) {
+    const session = sessions.get(socketId);
+    if (!session) {
+      return;
+    }
+
+    sessions.delete(socketId);
+    session.subscriptions.forEach((subscription) => {
+      subscription.rtpSubscription.unSubscribe();
+    });
+
+    // Stop forwarding this publisher to everyone else
+    sessions.forEach((subscriber) => {
+      unsubscribe(subscriber.socketId, socketId);
+    });
+
+    if (session.pendingAnswer) {
+      session.pendingAnswer.reject(new Error('Session closed'));
+    }
+
+    session.pc.close().catch(() => {});
+  }
+
+  function forward(subscriber, publisher) {
+    const track = new MediaStreamTrack({ kind: 'audio' });
+    const transceiver = subscriber.pc.addTransceiver(track, { direction: 'sendonly' });
+    const rtpSubscription = publisher.track.onReceiveRtp.subscribe((rtp) => {
+      track.writeRtp(rtp);
+    });
+
+    subscriber.subscriptions.set(publisher.socketId, { transceiver, rtpSubscription });
+    renegotiate(subscriber);
+  }
+
+  // Start forwarding a publisher's audio to a subscriber
+  function subscribe(subscriberId, publisherId) {
+    const subscriber = sessions.get(subscriberId);
+    const publisher = sessions.get(publisherId);
+    if (!subscriber || !publisher || subscriber.subscriptions.has(publisherId)) {
+      return;
+    }
+
+    if (publisher.track) {
+      forward(subscriber, publisher);
+    } else {
+      subscriber.wanted.add(publisherId);
+    }
+  }
+
+  function unsubscribe(subscriberId, publisherId) {
+    const subscriber = sessions.get(subscriberId);
+    if (!subscriber) {
+      return;
+    }
+
+    subscriber.wanted.delete(publisherId);
+
+    const subscription = subscriber.subscriptions.get(publisherId);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.rtpSubscription.unSubscribe();
+    subscriber.subscriptions.delete(publisherId);
+    subscriber.pc.removeTrack(subscription.transceiver.sender);
+    renegotiate(subscriber);
+  }
+
+  // Queue an offer/answer round; changes made while one is queued share it
+  function renegotiate(session) {
+    if (session.renegotiationQueued) {
+      return;
+    }
+
+    session.renegotiationQueued = true;
+    session.negotiation = session.negotiation
+      .then(() => {
+        session.renegotiationQueued = false;
+        return negotiate(session);
+      })
+      .catch((error) => {
+        // Sessions that were closed mid-negotiation are expected to fail
+        if (sessions.get(session.socketId) === session) {
+          console.error('SFU negotiation failed for', session.socketId, error.message);
+        }
+      });
+  }
+
+  async function negotiate(session) {
+    if (sessions.get(session.socketId) !== session) {
+      return;
+    }
+
+    await session.pc.setLocalDescription(await session.pc.createOffer());
+
+    // Tell the client which participant each forwarded transceiver carries
+    const tracks = {};
+    session.subscriptions.forEach((subscription, publisherId) => {
+      tracks[subscription.transceiver.mid] = publisherId;
+    });
+
+    const answer = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('Timed out waiting for answer'));
+      }, NEGOTIATION_TIMEOUT_MS);
+
+      session.pendingAnswer = {
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+    });
+
+    session.socket.emit('sfu-offer', {
+      offer: {
+        type: session.pc.localDescription.type,
+        sdp: session.pc.localDescription.sdp
+      },
+      publishMid: session.publishTransceiver.mid,
+      tracks
+    });
+
+    try {
+      await session.pc.setRemoteDescription(await answer);
+    } finally {
+      session.pendingAnswer = null;
+    }
+  }
+
+  function handleAnswer(socketId, answer) {
+    const session = sessions.get(socketId);
+    if (session && session.pendingAnswer && answer) {
+      session.pendingAnswer.resolve(answer);
+    }
+  }
+
+  function handleIceCandidate(socketId, candidate) {
+    const session = sessions.get(socketId);
+    if (session && candidate) {
+      session.pc.addIceCandidate(candidate).catch((error) => {
+        console.error('SFU ICE candidate rejected for', socketId, error.message);
+      });
+    }
+  }
+
+  return {
+    join,
+    leave,
+    subscribe,
+    unsubscribe,
+    handleAnswer,
+    handleIceCandidate
+  };
+}
+
+module.exports = { createSfu };
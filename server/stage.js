@@ -0,0 +1,22 @@
+// The stage is a fixed area at the top of the room. Anyone with stage access
+// who stands on it is heard by the whole room at full level, whatever the
+// distance. The owner has stage access by default and hands it out to others.
+
+// World coordinates (the room spans -10..10 on x and z)
+const STAGE_AREA = {
+  minX: -4,
+  maxX: 4,
+  minZ: -10,
+  maxZ: -7
+};
+
+function isInStageArea(position) {
+  return position.x >= STAGE_AREA.minX && position.x <= STAGE_AREA.maxX &&
+    position.z >= STAGE_AREA.minZ && position.z <= STAGE_AREA.maxZ;
+}
+
+function isOnStage(user) {
+  return !!user.stageAccess && !user.reconnecting && isInStageArea(user.position);
+}
+
+module.exports = { STAGE_AREA, isInStageArea, isOnStage };
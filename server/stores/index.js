@@ -0,0 +1,17 @@
+const { createMemoryRoomStore } = require('./memory-room-store');
+const { createSqliteRoomStore } = require('./sqlite-room-store');
+
+// Pick the live room store: 'memory' for a single process, 'sqlite' when
+// several processes on the same host have to share rooms
+function createRoomStore(type, options = {}) {
+  switch (type || 'memory') {
+    case 'memory':
+      return createMemoryRoomStore();
+    case 'sqlite':
+      return createSqliteRoomStore(options.filename || './spatial_meet_live.db');
+    default:
+      throw new Error(`Unknown room store: ${type}`);
+  }
+}
+
+module.exports = { createRoomStore };
@@ -0,0 +1,162 @@
+// Live room state kept in this process only. The methods return promises so
+// the store can be swapped for a shared implementation without code changes.
+function createMemoryRoomStore() {
+  const rooms = new Map(); // roomId -> Map(socketId -> user)
+  const lobbies = new Map(); // roomId -> Map(socketId -> waiting user)
+
+  function copyUser(user) {
+    return user && { ...user, position: { ...user.position } };
+  }
+
+  // Resolves to whether the room was empty
+  async function addUser(roomId, socketId, user) {
+    if (!rooms.has(roomId)) {
+      rooms.set(roomId, new Map());
+    }
+    const roomUsers = rooms.get(roomId);
+    const wasEmpty = roomUsers.size === 0;
+    roomUsers.set(socketId, copyUser(user));
+    return wasEmpty;
+  }
+
+  async function getUser(roomId, socketId) {
+    const roomUsers = rooms.get(roomId);
+    return (roomUsers && copyUser(roomUsers.get(socketId))) || null;
+  }
+
+  async function getUsers(roomId) {
+    const users = new Map();
+    const roomUsers = rooms.get(roomId);
+    if (roomUsers) {
+      roomUsers.forEach((user, socketId) => users.set(socketId, copyUser(user)));
+    }
+    return users;
+  }
+
+  async function countUsers(roomId) {
+    const roomUsers = rooms.get(roomId);
+    return roomUsers ? roomUsers.size : 0;
+  }
+
+  // Apply partial changes; resolves to false when the user is not in the room
+  async function updateUser(roomId, socketId, changes) {
+    const roomUsers = rooms.get(roomId);
+    const user = roomUsers && roomUsers.get(socketId);
+    if (!user) {
+      return false;
+    }
+    Object.assign(user, changes);
+    return true;
+  }
+
+  async function updatePositions(roomId, positions) {
+    const roomUsers = rooms.get(roomId);
+    if (!roomUsers) {
+      return;
+    }
+    positions.forEach(({ socketId, position }) => {
+      const user = roomUsers.get(socketId);
+      if (user) {
+        user.position = { ...position };
+      }
+    });
+  }
+
+  // Re-key a user under a new socket id (used when a session is resumed)
+  async function moveUser(roomId, fromSocketId, toSocketId) {
+    const roomUsers = rooms.get(roomId);
+    const user = roomUsers && roomUsers.get(fromSocketId);
+    if (!user) {
+      return null;
+    }
+    roomUsers.delete(fromSocketId);
+    user.reconnecting = false;
+    roomUsers.set(toSocketId, user);
+    return copyUser(user);
+  }
+
+  async function removeUser(roomId, socketId) {
+    const roomUsers = rooms.get(roomId);
+    const user = roomUsers && roomUsers.get(socketId);
+    if (!user) {
+      return null;
+    }
+    roomUsers.delete(socketId);
+    if (roomUsers.size === 0) {
+      rooms.delete(roomId);
+    }
+    return user;
+  }
+
+  async function findByResumeToken(roomId, resumeToken) {
+    const roomUsers = rooms.get(roomId);
+    if (!roomUsers || !resumeToken) {
+      return null;
+    }
+    for (const [socketId, user] of roomUsers) {
+      if (user.resumeToken === resumeToken) {
+        return { socketId, user: copyUser(user) };
+      }
+    }
+    return null;
+  }
+
+  // Users waiting for admission; kept apart from the room's participants
+  async function addToLobby(roomId, socketId, entry) {
+    if (!lobbies.has(roomId)) {
+      lobbies.set(roomId, new Map());
+    }
+    lobbies.get(roomId).set(socketId, { ...entry });
+  }
+
+  async function getLobby(roomId) {
+    const lobby = new Map();
+    const waiting = lobbies.get(roomId);
+    if (waiting) {
+      waiting.forEach((entry, socketId) => lobby.set(socketId, { ...entry }));
+    }
+    return lobby;
+  }
+
+  async function removeFromLobby(roomId, socketId) {
+    const waiting = lobbies.get(roomId);
+    const entry = waiting && waiting.get(socketId);
+    if (!entry) {
+      return null;
+    }
+    waiting.delete(socketId);
+    if (waiting.size === 0) {
+      lobbies.delete(roomId);
+    }
+    return entry;
+  }
+
+  async function clear() {
+    rooms.clear();
+    lobbies.clear();
+  }
+
+  // Everything here belongs to this process and goes away with it
+  async function listOwned() {
+    return { participants: [], lobby: [] };
+  }
+
+  return {
+    addUser,
+    getUser,
+    getUsers,
+    countUsers,
+    updateUser,
+    updatePositions,
+    moveUser,
+    removeUser,
+    findByResumeToken,
+    addToLobby,
+    getLobby,
+    removeFromLobby,
+    clear,
+    listOwned
+  };
+}
+
+module.exports = { createMemoryRoomStore };
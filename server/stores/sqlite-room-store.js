@@ -0,0 +1,248 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// Live room state in a SQLite file that several server processes on the same
+// host can share. Each participant is one row; everything apart from the keys
+// lives in a JSON `data` column so new fields don't need a migration. Rows are
+// tagged with the pid of the process holding the socket (`owner`), so what a
+// crashed process leaves behind can be cleaned up.
+function createSqliteRoomStore(filename, owner = process.pid) {
+  const db = new sqlite3.Database(filename);
+
+  // Keep statements in issue order (signaling relies on it) and wait for
+  // other processes instead of failing when the file is locked
+  db.serialize();
+  db.run('PRAGMA busy_timeout = 5000');
+  db.run('PRAGMA journal_mode = WAL');
+  db.run('PRAGMA synchronous = NORMAL');
+  db.run(`CREATE TABLE IF NOT EXISTS live_participants (
+    socket_id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    resume_token TEXT,
+    data TEXT NOT NULL
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_live_participants_room ON live_participants (room_id)');
+  db.run(`CREATE TABLE IF NOT EXISTS live_lobby (
+    socket_id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    data TEXT NOT NULL
+  )`);
+  ['live_participants', 'live_lobby'].forEach((table) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN owner INTEGER`, (err) => {
+      if (err && !/duplicate column/.test(err.message)) {
+        console.error(`Error adding owner column to ${table}:`, err.message);
+      }
+    });
+  });
+
+  function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(this);
+      });
+    });
+  }
+
+  function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  // Build json_set(data, '$.a', json(?), '$.b', json(?)) for partial updates
+  function jsonSet(changes) {
+    const keys = Object.keys(changes);
+    keys.forEach((key) => {
+      if (!/^\w+$/.test(key)) {
+        throw new Error(`Invalid field name: ${key}`);
+      }
+    });
+
+    return {
+      sql: `json_set(data, ${keys.map((key) => `'$.${key}', json(?)`).join(', ')})`,
+      params: keys.map((key) => JSON.stringify(changes[key]))
+    };
+  }
+
+  // Resolves to whether the room was empty. The count and the insert share a
+  // transaction, queued back to back, so of several people joining an empty
+  // room at once (in any process) exactly one is told they came first.
+  async function addUser(roomId, socketId, user) {
+    const [, row] = await Promise.all([
+      run('BEGIN IMMEDIATE'),
+      get('SELECT COUNT(*) AS count FROM live_participants WHERE room_id = ?', [roomId]),
+      run(
+        'INSERT OR REPLACE INTO live_participants (socket_id, room_id, resume_token, data, owner) VALUES (?, ?, ?, ?, ?)',
+        [socketId, roomId, user.resumeToken || null, JSON.stringify(user), owner]
+      ),
+      run('COMMIT')
+    ]);
+    return row.count === 0;
+  }
+
+  async function getUser(roomId, socketId) {
+    const row = await get(
+      'SELECT data FROM live_participants WHERE room_id = ? AND socket_id = ?',
+      [roomId, socketId]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async function getUsers(roomId) {
+    const rows = await all(
+      'SELECT socket_id, data FROM live_participants WHERE room_id = ? ORDER BY rowid',
+      [roomId]
+    );
+    const users = new Map();
+    rows.forEach((row) => users.set(row.socket_id, JSON.parse(row.data)));
+    return users;
+  }
+
+  async function countUsers(roomId) {
+    const row = await get(
+      'SELECT COUNT(*) AS count FROM live_participants WHERE room_id = ?',
+      [roomId]
+    );
+    return row.count;
+  }
+
+  async function updateUser(roomId, socketId, changes) {
+    const update = jsonSet(changes);
+    const result = await run(
+      `UPDATE live_participants SET data = ${update.sql} WHERE room_id = ? AND socket_id = ?`,
+      [...update.params, roomId, socketId]
+    );
+    return result.changes > 0;
+  }
+
+  // One statement per tick, so concurrent flushes never interleave transactions
+  async function updatePositions(roomId, positions) {
+    if (positions.length === 0) {
+      return;
+    }
+
+    const cases = positions.map(() => 'WHEN ? THEN ?').join(' ');
+    const placeholders = positions.map(() => '?').join(', ');
+    const params = [];
+    positions.forEach(({ socketId, position }) => {
+      params.push(socketId, JSON.stringify(position));
+    });
+
+    await run(
+      `UPDATE live_participants
+       SET data = json_set(data, '$.position', json(CASE socket_id ${cases} END))
+       WHERE room_id = ? AND socket_id IN (${placeholders})`,
+      [...params, roomId, ...positions.map(({ socketId }) => socketId)]
+    );
+  }
+
+  async function moveUser(roomId, fromSocketId, toSocketId) {
+    const result = await run(
+      `UPDATE live_participants SET socket_id = ?, owner = ?, data = json_set(data, '$.reconnecting', json('false'))
+       WHERE room_id = ? AND socket_id = ?`,
+      [toSocketId, owner, roomId, fromSocketId]
+    );
+    return result.changes > 0 ? getUser(roomId, toSocketId) : null;
+  }
+
+  async function removeUser(roomId, socketId) {
+    const user = await getUser(roomId, socketId);
+    if (!user) {
+      return null;
+    }
+
+    // Another process may have removed or moved the row in the meantime
+    const result = await run(
+      'DELETE FROM live_participants WHERE room_id = ? AND socket_id = ?',
+      [roomId, socketId]
+    );
+    return result.changes > 0 ? user : null;
+  }
+
+  async function findByResumeToken(roomId, resumeToken) {
+    if (!resumeToken) {
+      return null;
+    }
+
+    const row = await get(
+      'SELECT socket_id, data FROM live_participants WHERE room_id = ? AND resume_token = ?',
+      [roomId, resumeToken]
+    );
+    return row ? { socketId: row.socket_id, user: JSON.parse(row.data) } : null;
+  }
+
+  // Users waiting for admission; kept apart from the room's participants
+  async function addToLobby(roomId, socketId, entry) {
+    await run(
+      'INSERT OR REPLACE INTO live_lobby (socket_id, room_id, data, owner) VALUES (?, ?, ?, ?)',
+      [socketId, roomId, JSON.stringify(entry), owner]
+    );
+  }
+
+  async function getLobby(roomId) {
+    const rows = await all(
+      'SELECT socket_id, data FROM live_lobby WHERE room_id = ? ORDER BY rowid',
+      [roomId]
+    );
+    const lobby = new Map();
+    rows.forEach((row) => lobby.set(row.socket_id, JSON.parse(row.data)));
+    return lobby;
+  }
+
+  async function removeFromLobby(roomId, socketId) {
+    const row = await get(
+      'SELECT data FROM live_lobby WHERE room_id = ? AND socket_id = ?',
+      [roomId, socketId]
+    );
+    if (!row) {
+      return null;
+    }
+
+    // Two moderators may answer the same request at once; only one wins
+    const result = await run(
+      'DELETE FROM live_lobby WHERE room_id = ? AND socket_id = ?',
+      [roomId, socketId]
+    );
+    return result.changes > 0 ? JSON.parse(row.data) : null;
+  }
+
+  async function clear() {
+    await run('DELETE FROM live_participants');
+    await run('DELETE FROM live_lobby');
+  }
+
+  // Participants and lobby entries whose sockets were held by the given process
+  async function listOwned(ownerPid) {
+    const participants = await all('SELECT room_id, socket_id FROM live_participants WHERE owner = ?', [ownerPid]);
+    const lobby = await all('SELECT room_id, socket_id FROM live_lobby WHERE owner = ?', [ownerPid]);
+    const toEntry = (row) => ({ roomId: row.room_id, socketId: row.socket_id });
+    return { participants: participants.map(toEntry), lobby: lobby.map(toEntry) };
+  }
+
+  return {
+    addUser,
+    getUser,
+    getUsers,
+    countUsers,
+    updateUser,
+    updatePositions,
+    moveUser,
+    removeUser,
+    findByResumeToken,
+    addToLobby,
+    getLobby,
+    removeFromLobby,
+    clear,
+    listOwned
+  };
+}
+
+module.exports = { createSqliteRoomStore };
@@ -0,0 +1,119 @@
+const { distanceBetween, EXIT_RADIUS_FACTOR } = require('./neighbours');
+
+// Private two-person audio bubbles inside a room. Audio keeps flowing over
+// the connections the pair already has; their clients play each other at
+// full volume without spatial processing and everyone else silences them.
+// The pair is kept in the room store as `whisperWith` on both users.
+function createWhispers(io, roomStore, options = {}) {
+  const getHearingRadius = options.getHearingRadius;
+
+  // Ask another participant for a whisper; they answer with respond()
+  async function request(socket, targetId) {
+    const roomId = socket.roomId;
+    const roomUsers = roomId ? await roomStore.getUsers(roomId) : new Map();
+    const user = roomUsers.get(socket.id);
+    const target = roomUsers.get(targetId);
+    let code = null;
+
+    if (!user) {
+      code = 'NOT_IN_ROOM';
+    } else if (!target || target.reconnecting || targetId === socket.id) {
+      code = 'TARGET_NOT_IN_ROOM';
+    } else if (user.whisperWith || target.whisperWith) {
+      code = 'ALREADY_WHISPERING';
+    } else if (distanceBetween(user.position, target.position) > getHearingRadius(roomId)) {
+      code = 'TOO_FAR';
+    }
+
+    if (code) {
+      socket.emit('whisper-error', { code, target: targetId });
+      return;
+    }
+
+    await roomStore.updateUser(roomId, socket.id, { whisperRequest: targetId });
+    io.to(targetId).emit('whisper-invite', {
+      from: socket.id,
+      username: user.username
+    });
+  }
+
+  async function respond(socket, fromId, accept) {
+    const roomId = socket.roomId;
+    const roomUsers = roomId ? await roomStore.getUsers(roomId) : new Map();
+    const user = roomUsers.get(socket.id);
+    const requester = roomUsers.get(fromId);
+
+    // Ignore answers to invites that were withdrawn or never made
+    if (!user || !requester || requester.whisperRequest !== socket.id) {
+      return;
+    }
+
+    await roomStore.updateUser(roomId, fromId, { whisperRequest: null });
+
+    if (!accept) {
+      io.to(fromId).emit('whisper-declined', { target: socket.id });
+      return;
+    }
+
+    // Either of them may have started another whisper in the meantime
+    if (user.whisperWith || requester.whisperWith) {
+      socket.emit('whisper-error', { code: 'ALREADY_WHISPERING', target: fromId });
+      return;
+    }
+
+    await roomStore.updateUser(roomId, fromId, { whisperWith: socket.id });
+    await roomStore.updateUser(roomId, socket.id, { whisperWith: fromId });
+
+    io.to(roomId).emit('whisper-started', {
+      participants: [fromId, socket.id]
+    });
+  }
+
+  // End the whisper a user is part of, if any
+  async function end(roomId, socketId, reason) {
+    const user = await roomStore.getUser(roomId, socketId);
+    if (!user || !user.whisperWith) {
+      return;
+    }
+
+    const partnerId = user.whisperWith;
+    await roomStore.updateUser(roomId, socketId, { whisperWith: null });
+    await roomStore.updateUser(roomId, partnerId, { whisperWith: null });
+
+    io.to(roomId).emit('whisper-ended', {
+      participants: [socketId, partnerId],
+      reason
+    });
+  }
+
+  // End whispers whose pair has moved apart. This uses the distance at which
+  // peer connections are dropped, so the pair never loses audio mid-whisper.
+  async function endDistant(roomId) {
+    const roomUsers = await roomStore.getUsers(roomId);
+    const exitRadius = getHearingRadius(roomId) * EXIT_RADIUS_FACTOR;
+    const distant = [];
+
+    roomUsers.forEach((user, socketId) => {
+      const partner = user.whisperWith && roomUsers.get(user.whisperWith);
+
+      // Each pair appears twice; only check it from the lower socket id
+      if (partner && socketId < user.whisperWith &&
+          distanceBetween(user.position, partner.position) > exitRadius) {
+        distant.push(socketId);
+      }
+    });
+
+    for (const socketId of distant) {
+      await end(roomId, socketId, 'moved-apart');
+    }
+  }
+
+  return {
+    request,
+    respond,
+    end,
+    endDistant
+  };
+}
+
+module.exports = { createWhispers };